@@ -5,82 +5,55 @@ const { ethers } = require("ethers");
 const chalk = require("chalk");
 const winston = require("winston");
 const path = require("path");
+const fs = require("fs");
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const http = require("http");
+const nodemailer = require("nodemailer");
 require("dotenv").config(); // Load environment variables from .env file
 
 // For fetch API, if Node.js version is < 18, you might need:
 // const fetch = require('node-fetch'); // Uncomment and npm install node-fetch if on older Node.js
 
 // --- Configuration ---
-const RPC_URL = process.env.RPC_URL || "https://rpc-evm-sidechain.xrpl.org/"; // XRPL EVM Testnet RPC
 // PRIVATE_KEYS should be a comma-separated string in .env: PRIVATE_KEYS=0xkey1,0xkey2
 const PRIVATE_KEYS_ENV = process.env.PRIVATE_KEYS;
 const PRIVATE_KEYS = PRIVATE_KEYS_ENV ? PRIVATE_KEYS_ENV.split(',') : []; // Comma-separated private keys
-const EXPLORER_TX_URL = process.env.EXPLORER_TX_URL || "https://explorer.testnet.xrpl.org/tx/"; // Base URL for transaction links
-
-// Action probabilities (sum should be 100)
-const ACTION_PROBABILITIES = {
-  SWAP: 40,
-  ADD_LIQUIDITY: 20,
-  REMOVE_LIQUIDITY: 10, // Added Remove Liquidity
-  SEND_AND_RECEIVE: 15, // Funding new addresses, sending, and receiving back
-  RANDOM_SEND: 15, // Sending to random addresses (no funding/return)
-  // CUSTOM_CONTRACT_CALL: 0, // Set to >0 to enable
-};
-
-// --- Token Configuration (Using YOUR ORIGINAL testnet token addresses, despite previous errors) ---
-// Note: These addresses are what you provided. If you still face 'could not decode result data' or 'missing revert data'
-// errors for these tokens, it strongly suggests they are no longer valid ERC-20 contracts on the XRPL EVM Testnet.
-// You would need to find new, active testnet token addresses.
-const TOKENS = {
-  WXRP: "0x81Be083099c2C65b062378E74Fa8469644347BB7", // Your Original WXRP token address
-  RISE: "0x0c28777DEebe4589e83EF2Dc7833354e6a0aFF85", // Your Original RISE token address
-  RIBBIT: "0x3D757474472f8F2A66Bdc1b51e4C4D11E813C16c", // Your Original RIBBIT token address
-  // Add other tokens as needed
-};
-
-// Amounts to use for various actions (adjust as needed)
-const TOKEN_AMOUNT_CONFIG = {
-  DEFAULT: { type: "percentage", min: 0.001, max: 0.005 }, // Default for random swaps
-  XRP: { type: "percentage", min: 0.001, max: 0.005 }, // For random XRP swaps
-  RISE: { type: "percentage", min: 0.001, max: 0.005 },
-  RIBBIT: { type: "percentage", min: 0.001, max: 0.005 },
-
-  // Configuration for Send & Receive / Random Send
-  SEND_AND_RECEIVE_CONFIG: {
-    sendAmount: "0.001", // Amount of token to send
-    sendTokenName: "RISE", // Token to send
-    sendAddressCount: 1, // Number of random addresses to interact with
-  },
-  RANDOM_SEND_CONFIG: {
-    sendAmount: "0.0005",
-    sendTokenName: "RIBBIT",
-    sendAddressCount: 2,
-  },
-  ADD_LIQUIDITY_CONFIG: {
-    lpBaseAmount: "0.005", // Amount of XRP/ETH to add
-    lpTokenAmount: "0.005", // Amount of LP token to add (e.g., RISE)
-    lpTokenName: "RISE", // Name of the LP token
-  },
-  REMOVE_LIQUIDITY_CONFIG: {
-      removeAmountPercentage: 50, // Percentage of LP tokens to remove (e.g., 50 for 50%)
-      lpTokenName: "RISE", // The token paired with XRP/WETH in the LP
-  }
-};
-
-// Rebalancing thresholds (if balance falls below, try to acquire more)
-const REBALANCE_THRESHOLDS = {
-  XRP: 0.01, // If XRP falls below this, try to swap other tokens for XRP
-  RISE: 0.005, // If RISE falls below this, try to swap XRP for RISE
-  RIBBIT: 0.005, // If RIBBIT falls below this, try to swap XRP for RIBBIT
-};
-
-// Gas limits (adjust if transactions fail due to out of gas)
-const GAS_LIMIT_COMPLEX = 800000; // For swaps, add liquidity, etc.
-const GAS_LIMIT_ERC20 = 100000; // For simple ERC20 transfers, approvals
-const GAS_LIMIT_XRP = 30000; // For native XRP transfers
-const GAS_LIMIT_CUSTOM_CONTRACT = 100000; // Example gas limit for custom contract calls
 
-const SLIPPAGE_TOLERANCE_PERCENT = 0.5; // 0.5% slippage tolerance for swaps
+// Tunable settings (action probabilities, network, tokens, amounts, gas limits, slippage, loop interval)
+// live in config.json and are filled in by applyConfig() at startup. See "External Configuration" below.
+// RPC_URL and EXPLORER_TX_URL from the environment still override the selected network's values.
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, "config.json");
+const ENV_OVERRIDE_PREFIX = "BOT__"; // e.g. BOT__SLIPPAGE_TOLERANCE_PERCENT=1 or BOT__ACTION_PROBABILITIES__SWAP=50
+
+let ACTION_PROBABILITIES; // Action probabilities (sum must be 100)
+let NETWORK_NAME; // Selected network profile
+let EXPECTED_CHAIN_ID; // Chain ID the RPC must report before anything is signed
+let RPC_URLS; // RPC endpoints for the selected network
+let EXPLORER_TX_URL; // Explorer link template, "{hash}" is replaced by the transaction hash
+let TOKENS; // Token symbol -> ERC-20 address
+let TOKEN_AMOUNT_CONFIG; // Amounts to use for the various actions
+let REBALANCE_THRESHOLDS; // If a balance falls below its threshold, try to acquire more
+let GAS_LIMIT_COMPLEX; // For swaps, add liquidity, etc.
+let GAS_LIMIT_ERC20; // For simple ERC20 transfers, approvals
+let GAS_LIMIT_XRP; // For native XRP transfers
+let GAS_LIMIT_CUSTOM_CONTRACT; // For custom contract calls
+let SLIPPAGE_TOLERANCE_PERCENT; // Slippage tolerance for swaps and liquidity
+let ROUTER_ADDRESS; // Uniswap V2 style router
+let FACTORY_ADDRESS; // Uniswap V2 style factory (null = ask the router)
+let WRAPPED_NATIVE_ADDRESS; // Wrapped native token (WXRP) used for every XRP pair
+let MIN_LOOP_INTERVAL_SECONDS; // Minimum delay between cycles
+let MAX_LOOP_INTERVAL_SECONDS; // Maximum delay between cycles
+let RPC_POOL_CONFIG; // Timeouts, quorum and cooldown for the RPC provider pool
+let NONCE_MANAGER_CONFIG; // When a pending transaction counts as stuck and how it gets replaced
+let WALLET_CONCURRENCY; // How many wallets the loop processes at the same time
+let GAS_STRATEGY_CONFIG; // Fee strategy ("fee-history", "fixed" or "aggressive") and its settings
+let GAS_BUDGET; // Per-wallet gas spending limits in XRP (null = no limit)
+let APPROVAL_CONFIG; // Router allowance policy ("exact", "fixed-cap" or "infinite"), startup approvals, reset-to-zero tokens
+let ALERT_CONFIG; // Alert sinks with their minimum severity, dedupe window, per-sink rate limit and retries
+let ALERT_RULES_CONFIG; // Health checks run after every loop cycle (low XRP, failure streaks and rate, daily gas, RPC latency)
+let MONITORING_CONFIG; // Local HTTP server for /metrics, /healthz, the web dashboard and the control API
 
 // --- Custom Contract Interaction (if CUSTOM_CONTRACT_CALL is enabled) ---
 const CUSTOM_CONTRACTS_TO_INTERACT_WITH = [
@@ -99,30 +72,69 @@ const CUSTOM_CONTRACTS_TO_INTERACT_WITH = [
     // Add more custom contracts as needed
 ];
 
-const MIN_LOOP_INTERVAL_SECONDS = 120; // Minimum delay between cycles for each wallet
-const MAX_LOOP_INTERVAL_SECONDS = 300; // Maximum delay
+const LOOP_DURATION_MS = 24 * 60 * 60 * 1000; // Default length of the random loop window (override with --duration)
+
+// --- State Persistence ---
+const STATE_FILE = process.env.STATE_FILE || path.join(__dirname, "bot_state.json");
+const MAX_TX_HISTORY = 10000; // Oldest entries are dropped beyond this
+const TX_RECORDS_FILE = process.env.TX_RECORDS_FILE || path.join(__dirname, "transactions.jsonl"); // Settled transaction records, one JSON object per line, never trimmed
 
 // --- Global State ---
 let wallets = [];
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+let provider = null; // RpcPoolProvider over the selected network's RPC URLs, created by applyConfig()
 
 let activityStats = {
   totalTransactions: 0,
   swaps: 0,
+  tokenSwaps: 0,
   addsLiquidity: 0,
   removesLiquidity: 0,
   sendsAndReceives: 0,
   randomSends: 0,
   customContractCalls: 0,
   rebalances: 0,
+  gasPaidXrp: "0", // Gas of every recorded action, from the receipts
+  slippage: { swaps: 0, totalPercent: 0, worstPercent: null }, // Realized vs. quoted price of confirmed swaps
   lastActivity: {}, // To store last activity time for each wallet
+  wallets: {}, // Per-wallet counters, keyed by address
+};
+
+let txHistory = []; // { timestamp, wallet, action, hash, status, blockNumber, gasUsed, amounts, realized, error }
+
+let tokenTransferFees = {}; // Lowercased token address → { symbol, feeOnTransfer, feePercent, detectedAt, source }
+
+let loopState = {
+  startedAt: null, // Epoch ms when the current loop window started (null when no loop is running)
+  durationMs: LOOP_DURATION_MS, // Length of the current loop window
+  cycle: 0, // Number of the cycle in progress
+  completedWallets: [], // Addresses already processed in the current cycle
 };
 
 // --- Logger Configuration ---
+// The console and bot_activity.log get readable lines. bot_activity.jsonl gets one JSON object per line carrying the
+// context of the code that logged it (walletAddress, cycleId, actionId, action, attempt; see withLogContext) plus
+// any fields passed with the message, e.g. logger.info(text, { txHash }). LOG_LEVEL sets the starting level and
+// SIGUSR2 steps through the levels while the bot runs.
+
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const LOG_LEVEL_CYCLE = ["error", "warn", "info", "debug"]; // SIGUSR2 order, wrapping from debug back to error
+const LOG_CONTEXT_FIELDS = ["walletAddress", "cycleId", "actionId", "action", "attempt"];
+const actionContext = new AsyncLocalStorage(); // Log context of the wallet/cycle/action being run, see withLogContext
+
+// Copies the current log context into the entry; fields passed with the message take precedence
+const addLogContext = winston.format((info) => {
+  const context = actionContext.getStore();
+  for (const field of LOG_CONTEXT_FIELDS) {
+    if (context && context[field] !== undefined && info[field] === undefined) info[field] = context[field];
+  }
+  return info;
+});
+
 const logger = winston.createLogger({
-  level: "info",
+  level: LOG_LEVEL,
   format: winston.format.combine(
     winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    addLogContext(),
     winston.format.printf(({ timestamp, level, message }) => {
       // Remove color codes for log file but keep for console
       const cleanMessage = message.replace(/\x1b\[[0-9;]*m/g, "");
@@ -144,15 +156,1183 @@ const logger = winston.createLogger({
       maxFiles: 5, // Keep 5 log files
       tailable: true,
     }),
+    new winston.transports.File({
+      filename: path.join(__dirname, "bot_activity.jsonl"),
+      maxsize: 5 * 1024 * 1024, // 5 MB
+      maxFiles: 5, // Keep 5 log files
+      tailable: true,
+      format: winston.format.printf(({ timestamp, level, message, ...fields }) => JSON.stringify({
+        timestamp,
+        level,
+        message: String(message).replace(/\x1b\[[0-9;]*m/g, "").trim(),
+        ...fields,
+      })),
+    }),
   ],
 });
 
-// --- CONTRACT ADDRESSES ---
-// Official Uniswap V2 Router address on XRPL EVM Testnet (provided by their AI bot)
-const ROUTER_ADDRESS = "0xF16A31764C91805B6C8E1D488941E41A86531880";
+// Runs fn with `fields` added to the log context; everything logged (and every transaction record opened) inside
+// it, including after awaits, carries them
+function withLogContext(fields, fn) {
+  return actionContext.run({ ...actionContext.getStore(), ...fields }, fn);
+}
+
+// Moves to the next, more verbose level of LOG_LEVEL_CYCLE (kill -USR2 <pid>); from any other level it starts at error
+function cycleLogLevel() {
+  logger.level = LOG_LEVEL_CYCLE[(LOG_LEVEL_CYCLE.indexOf(logger.level) + 1) % LOG_LEVEL_CYCLE.length];
+  logger.log(logger.level, chalk.yellow(`Log level is now "${logger.level}".`)); // At the new level, so it is never filtered out
+}
+
+// --- External Configuration ---
+// config.json holds the base settings plus named "profiles" that are deep-merged on top of them.
+// Resolution order: base file -> selected profile (--config <name>) -> BOT__* environment overrides -> validation.
+// Chain-specific settings (chain ID, RPCs, explorer, router/factory, wrapped native token, tokens) live under
+// "networks"; "network" (or --network) picks one of them.
+
+const KNOWN_ACTIONS = ["SWAP", "TOKEN_SWAP", "ADD_LIQUIDITY", "REMOVE_LIQUIDITY", "SEND_AND_RECEIVE", "RANDOM_SEND", "CUSTOM_CONTRACT_CALL"];
+const CONFIG_KEYS = [
+  "actionProbabilities", "network", "networks", "rpcPool", "tokenAmounts", "sendAndReceive", "randomSend",
+  "addLiquidity", "removeLiquidity", "rebalanceThresholds", "gasLimits", "slippageTolerancePercent", "loopInterval",
+  "nonceManager", "walletConcurrency", "gasStrategy", "gasBudget", "approvals", "alerts", "alertRules", "monitoring", "profiles",
+];
+const NETWORK_KEYS = ["chainId", "rpcUrls", "explorerTxUrl", "routerAddress", "factoryAddress", "wrappedNative", "tokens"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const key of Object.keys(override)) {
+    result[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+      ? deepMerge(base[key], override[key])
+      : override[key];
+  }
+  return result;
+}
+
+// Applies BOT__A__B=value variables onto the config. Path segments match existing keys ignoring case and
+// underscores/dashes (BOT__GAS_LIMITS__COMPLEX -> gasLimits.complex); unmatched segments are used as written,
+// so new entries such as BOT__NETWORKS__LOCAL_FORK__TOKENS__FOO can be added. Values are parsed as JSON when possible.
+function applyEnvOverrides(config, env) {
+  const normalize = key => key.toLowerCase().replace(/[_-]/g, "");
+  const applied = [];
+  for (const [name, rawValue] of Object.entries(env)) {
+    if (!name.startsWith(ENV_OVERRIDE_PREFIX)) continue;
+    const segments = name.slice(ENV_OVERRIDE_PREFIX.length).split("__").filter(Boolean);
+    if (segments.length === 0) continue;
+
+    let value;
+    try {
+      value = JSON.parse(rawValue);
+    } catch (_) {
+      value = rawValue; // Plain strings such as addresses don't need quoting
+    }
+
+    let target = config;
+    const pathParts = [];
+    segments.forEach((segment, i) => {
+      const key = Object.keys(target).find(k => normalize(k) === normalize(segment)) || segment;
+      pathParts.push(key);
+      if (i === segments.length - 1) {
+        // Amounts such as "0.001" are kept as strings in the config; don't turn them into numbers
+        target[key] = typeof target[key] === "string" && typeof value === "number" ? rawValue : value;
+      } else {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+      }
+    });
+    applied.push(`${pathParts.join(".")} (${name})`);
+  }
+  return applied;
+}
+
+// The two settings the control API can change at runtime, so they are checked on their own as well
+function validateActionProbabilities(probabilities) {
+  if (!isPlainObject(probabilities)) return [`actionProbabilities: must be an object`];
+  const errors = [];
+  let sum = 0;
+  for (const [action, probability] of Object.entries(probabilities)) {
+    if (!KNOWN_ACTIONS.includes(action)) errors.push(`actionProbabilities.${action}: unknown action (expected one of ${KNOWN_ACTIONS.join(", ")})`);
+    if (typeof probability !== "number" || !Number.isFinite(probability) || probability < 0) errors.push(`actionProbabilities.${action}: must be a non-negative number`);
+    else sum += probability;
+  }
+  if (Math.abs(sum - 100) > 1e-9) errors.push(`actionProbabilities: values must sum to 100 (got ${sum})`);
+  return errors;
+}
+
+function validateLoopInterval(loopInterval) {
+  if (!isPlainObject(loopInterval)) return [`loopInterval: must be an object with minSeconds and maxSeconds`];
+  const errors = [];
+  const isSeconds = value => typeof value === "number" && Number.isFinite(value) && value >= 0;
+  const { minSeconds, maxSeconds } = loopInterval;
+  if (!isSeconds(minSeconds)) errors.push(`loopInterval.minSeconds: must be a non-negative number`);
+  if (!isSeconds(maxSeconds)) errors.push(`loopInterval.maxSeconds: must be a non-negative number`);
+  if (isSeconds(minSeconds) && isSeconds(maxSeconds) && minSeconds > maxSeconds) {
+    errors.push(`loopInterval: minSeconds (${minSeconds}) must be <= maxSeconds (${maxSeconds})`);
+  }
+  return errors;
+}
+
+// Returns a list of "path: problem" strings; an empty list means the config is valid
+function validateConfig(config) {
+  const errors = [];
+  const isNumber = value => typeof value === "number" && Number.isFinite(value);
+  const isPositiveDecimalString = value => typeof value === "string" && /^\d+(\.\d+)?$/.test(value) && parseFloat(value) > 0;
+  const checkAddress = (value, at) => {
+    if (typeof value !== "string" || !ethers.isAddress(value)) {
+      errors.push(`${at}: must be a valid address (got ${JSON.stringify(value)})`);
+    } else if (ethers.getAddress(value) !== value) {
+      errors.push(`${at}: address must be checksummed (expected ${ethers.getAddress(value)})`);
+    }
+  };
+  const selectedNetwork = isPlainObject(config.networks) ? config.networks[config.network] : null;
+  const checkTokenName = (value, at) => {
+    if (!selectedNetwork || !isPlainObject(selectedNetwork.tokens)) return; // Reported under network/networks
+    if (!Object.prototype.hasOwnProperty.call(selectedNetwork.tokens, value)) {
+      errors.push(`${at}: unknown token "${value}" (not in networks.${config.network}.tokens)`);
+    }
+  };
+  const checkSection = (name) => {
+    if (!isPlainObject(config[name])) {
+      errors.push(`${name}: is required and must be an object`);
+      return false;
+    }
+    return true;
+  };
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) errors.push(`${key}: unknown setting`);
+  }
+
+  if (checkSection("actionProbabilities")) {
+    errors.push(...validateActionProbabilities(config.actionProbabilities));
+  }
+
+  if (checkSection("networks")) {
+    if (!selectedNetwork) {
+      errors.push(`network: unknown network ${JSON.stringify(config.network)} (expected one of ${Object.keys(config.networks).join(", ")})`);
+    }
+    for (const [name, network] of Object.entries(config.networks)) {
+      const at = `networks.${name}`;
+      if (!isPlainObject(network)) {
+        errors.push(`${at}: must be an object`);
+        continue;
+      }
+      for (const key of Object.keys(network)) {
+        if (!NETWORK_KEYS.includes(key)) errors.push(`${at}.${key}: unknown setting`);
+      }
+      if (!Number.isInteger(network.chainId) || network.chainId <= 0) errors.push(`${at}.chainId: must be a positive integer`);
+      if (!Array.isArray(network.rpcUrls) || network.rpcUrls.length === 0) {
+        errors.push(`${at}.rpcUrls: must be a non-empty list of URLs`);
+      } else {
+        network.rpcUrls.forEach((url, i) => {
+          if (typeof url !== "string" || !/^(https?|wss?):\/\//.test(url)) errors.push(`${at}.rpcUrls[${i}]: must be an http(s) or ws(s) URL (got ${JSON.stringify(url)})`);
+        });
+      }
+      if (typeof network.explorerTxUrl !== "string" || !network.explorerTxUrl.includes("{hash}")) {
+        errors.push(`${at}.explorerTxUrl: must be a string containing "{hash}"`);
+      }
+      checkAddress(network.routerAddress, `${at}.routerAddress`);
+      if (network.factoryAddress != null) checkAddress(network.factoryAddress, `${at}.factoryAddress`);
+      if (!isPlainObject(network.tokens)) {
+        errors.push(`${at}.tokens: is required and must be an object`);
+      } else {
+        for (const [symbol, address] of Object.entries(network.tokens)) {
+          checkAddress(address, `${at}.tokens.${symbol}`);
+        }
+        if (!network.tokens[network.wrappedNative]) {
+          errors.push(`${at}.wrappedNative: must name one of the network's tokens (got ${JSON.stringify(network.wrappedNative)})`);
+        }
+      }
+    }
+  }
+
+  if (checkSection("rpcPool")) {
+    const { requestTimeoutMs, balanceQuorum, cooldownSeconds } = config.rpcPool;
+    if (!Number.isInteger(requestTimeoutMs) || requestTimeoutMs < 100) errors.push(`rpcPool.requestTimeoutMs: must be an integer >= 100`);
+    if (!Number.isInteger(balanceQuorum) || balanceQuorum < 1) errors.push(`rpcPool.balanceQuorum: must be a positive integer`);
+    if (!isNumber(cooldownSeconds) || cooldownSeconds < 0) errors.push(`rpcPool.cooldownSeconds: must be a non-negative number`);
+  }
+
+  if (checkSection("tokenAmounts")) {
+    if (!config.tokenAmounts.DEFAULT) errors.push(`tokenAmounts.DEFAULT: is required`);
+    for (const [symbol, amountConfig] of Object.entries(config.tokenAmounts)) {
+      const at = `tokenAmounts.${symbol}`;
+      if (!isPlainObject(amountConfig)) {
+        errors.push(`${at}: must be an object`);
+        continue;
+      }
+      if (amountConfig.type === "fixed") {
+        if (!isPositiveDecimalString(String(amountConfig.value))) errors.push(`${at}.value: must be a positive number`);
+      } else if (amountConfig.type === "percentage" || amountConfig.type === "range") {
+        if (!isNumber(amountConfig.min) || amountConfig.min < 0) errors.push(`${at}.min: must be a non-negative number`);
+        if (!isNumber(amountConfig.max) || amountConfig.max <= 0) errors.push(`${at}.max: must be a positive number`);
+        if (isNumber(amountConfig.min) && isNumber(amountConfig.max) && amountConfig.min > amountConfig.max) {
+          errors.push(`${at}: min (${amountConfig.min}) must be <= max (${amountConfig.max})`);
+        }
+        if (amountConfig.type === "percentage" && isNumber(amountConfig.max) && amountConfig.max > 1) {
+          errors.push(`${at}.max: percentage amounts are fractions of the balance and must be <= 1 (got ${amountConfig.max})`);
+        }
+      } else {
+        errors.push(`${at}.type: must be "fixed", "percentage" or "range" (got ${JSON.stringify(amountConfig.type)})`);
+      }
+    }
+  }
+
+  for (const name of ["sendAndReceive", "randomSend"]) {
+    if (!checkSection(name)) continue;
+    const sendConfig = config[name];
+    if (!isPositiveDecimalString(sendConfig.sendAmount)) errors.push(`${name}.sendAmount: must be a positive decimal string such as "0.001"`);
+    checkTokenName(sendConfig.sendTokenName, `${name}.sendTokenName`);
+    if (!Number.isInteger(sendConfig.sendAddressCount) || sendConfig.sendAddressCount < 1) errors.push(`${name}.sendAddressCount: must be a positive integer`);
+  }
+
+  // Liquidity pairs are { tokenA, tokenB } where either side may be "XRP" (added with the router's *ETH functions)
+  const checkPairs = (pairs, at, withAmounts) => {
+    if (!Array.isArray(pairs) || pairs.length === 0) {
+      errors.push(`${at}: must be a non-empty list of pairs`);
+      return;
+    }
+    pairs.forEach((pair, i) => {
+      if (!isPlainObject(pair)) {
+        errors.push(`${at}[${i}]: must be an object with tokenA and tokenB`);
+        return;
+      }
+      for (const side of ["tokenA", "tokenB"]) {
+        if (pair[side] !== "XRP") checkTokenName(pair[side], `${at}[${i}].${side}`);
+      }
+      const sides = [pair.tokenA, pair.tokenB].map(symbol => (symbol === "XRP" && selectedNetwork ? selectedNetwork.wrappedNative : symbol));
+      if (sides[0] === sides[1]) errors.push(`${at}[${i}]: tokenA and tokenB must be different tokens (got ${pair.tokenA}/${pair.tokenB})`);
+      if (withAmounts) {
+        if (!isPositiveDecimalString(pair.amountA)) errors.push(`${at}[${i}].amountA: must be a positive decimal string`);
+        if (!isPositiveDecimalString(pair.amountB)) errors.push(`${at}[${i}].amountB: must be a positive decimal string`);
+      }
+    });
+  };
+
+  if (checkSection("addLiquidity")) {
+    checkPairs(config.addLiquidity.pairs, "addLiquidity.pairs", true);
+  }
+
+  if (checkSection("removeLiquidity")) {
+    const percentage = config.removeLiquidity.removeAmountPercentage;
+    if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) errors.push(`removeLiquidity.removeAmountPercentage: must be an integer from 1 to 100`);
+    checkPairs(config.removeLiquidity.pairs, "removeLiquidity.pairs", false);
+  }
+
+  if (checkSection("rebalanceThresholds")) {
+    for (const [symbol, threshold] of Object.entries(config.rebalanceThresholds)) {
+      if (symbol !== "XRP") checkTokenName(symbol, `rebalanceThresholds.${symbol}`);
+      if (!isNumber(threshold) || threshold < 0) errors.push(`rebalanceThresholds.${symbol}: must be a non-negative number`);
+    }
+  }
+
+  if (checkSection("gasLimits")) {
+    for (const name of ["complex", "erc20", "xrp", "customContract"]) {
+      const limit = config.gasLimits[name];
+      if (!Number.isInteger(limit) || limit < 21000) errors.push(`gasLimits.${name}: must be an integer >= 21000`);
+    }
+  }
+
+  if (!isNumber(config.slippageTolerancePercent) || config.slippageTolerancePercent < 0 || config.slippageTolerancePercent >= 100) {
+    errors.push(`slippageTolerancePercent: must be a number from 0 to below 100`);
+  }
+
+  if (checkSection("loopInterval")) {
+    errors.push(...validateLoopInterval(config.loopInterval));
+  }
+
+  if (checkSection("nonceManager")) {
+    const { stuckAfterSeconds, stuckAction, replacementFeeBumpPercent } = config.nonceManager;
+    if (!isNumber(stuckAfterSeconds) || stuckAfterSeconds <= 0) errors.push(`nonceManager.stuckAfterSeconds: must be a positive number`);
+    if (!["speed-up", "cancel"].includes(stuckAction)) errors.push(`nonceManager.stuckAction: must be "speed-up" or "cancel" (got ${JSON.stringify(stuckAction)})`);
+    // Nodes reject replacements that raise the fees by less than 10%
+    if (!isNumber(replacementFeeBumpPercent) || replacementFeeBumpPercent < 10) errors.push(`nonceManager.replacementFeeBumpPercent: must be a number >= 10`);
+  }
+
+  if (!Number.isInteger(config.walletConcurrency) || config.walletConcurrency < 1) {
+    errors.push(`walletConcurrency: must be a positive integer`);
+  }
+
+  if (checkSection("gasStrategy")) {
+    const { mode, feeHistory, fixed, aggressive, estimateGasBufferPercent } = config.gasStrategy;
+    if (!Object.keys(GAS_STRATEGIES).includes(mode)) {
+      errors.push(`gasStrategy.mode: must be one of ${Object.keys(GAS_STRATEGIES).join(", ")} (got ${JSON.stringify(mode)})`);
+    }
+    if (!isPlainObject(feeHistory)) {
+      errors.push(`gasStrategy.feeHistory: is required and must be an object`);
+    } else {
+      if (!Number.isInteger(feeHistory.blocks) || feeHistory.blocks < 1 || feeHistory.blocks > 1024) errors.push(`gasStrategy.feeHistory.blocks: must be an integer from 1 to 1024`);
+      if (!isNumber(feeHistory.rewardPercentile) || feeHistory.rewardPercentile < 0 || feeHistory.rewardPercentile > 100) errors.push(`gasStrategy.feeHistory.rewardPercentile: must be a number from 0 to 100`);
+      if (!isNumber(feeHistory.baseFeeMultiplier) || feeHistory.baseFeeMultiplier < 1) errors.push(`gasStrategy.feeHistory.baseFeeMultiplier: must be a number >= 1`);
+      if (!isNumber(feeHistory.retryBumpPercent) || feeHistory.retryBumpPercent < 0) errors.push(`gasStrategy.feeHistory.retryBumpPercent: must be a non-negative number`);
+    }
+    if (!isPlainObject(fixed)) {
+      errors.push(`gasStrategy.fixed: is required and must be an object`);
+    } else {
+      if (!isPositiveDecimalString(fixed.maxFeePerGasGwei)) errors.push(`gasStrategy.fixed.maxFeePerGasGwei: must be a positive decimal string`);
+      if (!isPositiveDecimalString(fixed.maxPriorityFeePerGasGwei)) errors.push(`gasStrategy.fixed.maxPriorityFeePerGasGwei: must be a positive decimal string`);
+      if (isPositiveDecimalString(fixed.maxFeePerGasGwei) && isPositiveDecimalString(fixed.maxPriorityFeePerGasGwei)
+          && parseFloat(fixed.maxPriorityFeePerGasGwei) > parseFloat(fixed.maxFeePerGasGwei)) {
+        errors.push(`gasStrategy.fixed: maxPriorityFeePerGasGwei must be <= maxFeePerGasGwei`);
+      }
+    }
+    if (!isPlainObject(aggressive)) {
+      errors.push(`gasStrategy.aggressive: is required and must be an object`);
+    } else {
+      if (!isNumber(aggressive.multiplier) || aggressive.multiplier <= 0) errors.push(`gasStrategy.aggressive.multiplier: must be a positive number`);
+      if (!isNumber(aggressive.retryStep) || aggressive.retryStep < 0) errors.push(`gasStrategy.aggressive.retryStep: must be a non-negative number`);
+    }
+    if (!isNumber(estimateGasBufferPercent) || estimateGasBufferPercent < 0) errors.push(`gasStrategy.estimateGasBufferPercent: must be a non-negative number`);
+  }
+
+  if (checkSection("gasBudget")) {
+    for (const name of ["perTransactionXrp", "perDayXrp"]) {
+      const limit = config.gasBudget[name];
+      if (limit !== null && !isPositiveDecimalString(limit)) errors.push(`gasBudget.${name}: must be a positive decimal string or null (no limit)`);
+    }
+  }
+
+  if (checkSection("approvals")) {
+    const { policy, fixedCap, allowInfinite, approveAtStartup, resetToZeroTokens } = config.approvals;
+    if (!APPROVAL_POLICIES.includes(policy)) {
+      errors.push(`approvals.policy: must be one of ${APPROVAL_POLICIES.join(", ")} (got ${JSON.stringify(policy)})`);
+    }
+    if (typeof allowInfinite !== "boolean") errors.push(`approvals.allowInfinite: must be true or false`);
+    else if (policy === "infinite" && !allowInfinite) errors.push(`approvals.policy: "infinite" also requires approvals.allowInfinite to be true`);
+    if (typeof approveAtStartup !== "boolean") errors.push(`approvals.approveAtStartup: must be true or false`);
+    if (!isPlainObject(fixedCap)) {
+      errors.push(`approvals.fixedCap: is required and must be an object`);
+    } else {
+      for (const [symbol, cap] of Object.entries(fixedCap)) {
+        if (symbol !== "DEFAULT") checkTokenName(symbol, `approvals.fixedCap.${symbol}`);
+        if (!isPositiveDecimalString(cap)) errors.push(`approvals.fixedCap.${symbol}: must be a positive decimal string`);
+      }
+    }
+    if (!Array.isArray(resetToZeroTokens)) {
+      errors.push(`approvals.resetToZeroTokens: must be an array of token names`);
+    } else {
+      resetToZeroTokens.forEach((symbol, i) => checkTokenName(symbol, `approvals.resetToZeroTokens[${i}]`));
+    }
+  }
+
+  if (checkSection("alerts")) {
+    const { dedupeWindowSeconds, maxPerHour, retries, sinks } = config.alerts;
+    if (!isNumber(dedupeWindowSeconds) || dedupeWindowSeconds < 0) errors.push(`alerts.dedupeWindowSeconds: must be a non-negative number`);
+    if (maxPerHour !== null && (!Number.isInteger(maxPerHour) || maxPerHour < 1)) errors.push(`alerts.maxPerHour: must be a positive integer or null (no limit)`);
+    if (!Number.isInteger(retries) || retries < 0 || retries > 5) errors.push(`alerts.retries: must be an integer from 0 to 5`);
+    if (!Array.isArray(sinks)) {
+      errors.push(`alerts.sinks: must be a list of sinks`);
+    } else {
+      sinks.forEach((sink, i) => {
+        const at = `alerts.sinks[${i}]`;
+        if (!isPlainObject(sink)) {
+          errors.push(`${at}: must be an object with a type and minSeverity`);
+          return;
+        }
+        if (!Object.keys(ALERT_SINK_TYPES).includes(sink.type)) {
+          errors.push(`${at}.type: must be one of ${Object.keys(ALERT_SINK_TYPES).join(", ")} (got ${JSON.stringify(sink.type)})`);
+        }
+        if (!ALERT_SEVERITIES.includes(sink.minSeverity)) {
+          errors.push(`${at}.minSeverity: must be one of ${ALERT_SEVERITIES.join(", ")} (got ${JSON.stringify(sink.minSeverity)})`);
+        }
+        if (sink.url !== undefined && (typeof sink.url !== "string" || !/^https?:\/\//.test(sink.url))) errors.push(`${at}.url: must be an http(s) URL`);
+        if (sink.type === "test" && !isLoopbackUrl(sink.url)) errors.push(`${at}.url: the test sink only posts to a local URL such as http://127.0.0.1:8090/alerts`);
+        if (sink.headers !== undefined && !isPlainObject(sink.headers)) errors.push(`${at}.headers: must be an object`);
+        if (sink.path !== undefined && (typeof sink.path !== "string" || sink.path === "")) errors.push(`${at}.path: must be a file path`);
+        if (sink.port !== undefined && (!Number.isInteger(sink.port) || sink.port < 1 || sink.port > 65535)) errors.push(`${at}.port: must be a port number`);
+        if (sink.secure !== undefined && typeof sink.secure !== "boolean") errors.push(`${at}.secure: must be true or false`);
+        if (sink.to !== undefined && ![].concat(sink.to).every(address => typeof address === "string" && address.includes("@"))) {
+          errors.push(`${at}.to: must be an email address or a list of them`);
+        }
+      });
+    }
+  }
+
+  if (checkSection("alertRules")) {
+    const rules = config.alertRules;
+    for (const name of Object.keys(rules)) {
+      if (!ALERT_RULE_NAMES.includes(name)) errors.push(`alertRules.${name}: unknown rule (expected one of ${ALERT_RULE_NAMES.join(", ")})`);
+    }
+    const checkRule = (name, checkSettings) => {
+      const rule = rules[name];
+      if (rule === undefined || rule === null) return; // Rule turned off
+      if (!isPlainObject(rule)) {
+        errors.push(`alertRules.${name}: must be an object, or null to turn the rule off`);
+        return;
+      }
+      if (!ALERT_SEVERITIES.includes(rule.severity)) errors.push(`alertRules.${name}.severity: must be one of ${ALERT_SEVERITIES.join(", ")} (got ${JSON.stringify(rule.severity)})`);
+      checkSettings(rule, `alertRules.${name}`);
+    };
+    checkRule("lowXrpBalance", (rule, at) => {
+      if (!isPositiveDecimalString(rule.belowXrp)) errors.push(`${at}.belowXrp: must be a positive decimal string`);
+    });
+    checkRule("consecutiveFailures", (rule, at) => {
+      if (!Number.isInteger(rule.count) || rule.count < 1) errors.push(`${at}.count: must be a positive integer`);
+    });
+    checkRule("failureRate", (rule, at) => {
+      if (!isNumber(rule.abovePercent) || rule.abovePercent < 0 || rule.abovePercent >= 100) errors.push(`${at}.abovePercent: must be a number from 0 to below 100`);
+      if (!isNumber(rule.windowMinutes) || rule.windowMinutes <= 0) errors.push(`${at}.windowMinutes: must be a positive number`);
+      if (!Number.isInteger(rule.minActions) || rule.minActions < 1) errors.push(`${at}.minActions: must be a positive integer`);
+    });
+    checkRule("dailyGas", (rule, at) => {
+      if (!isPositiveDecimalString(rule.aboveXrp)) errors.push(`${at}.aboveXrp: must be a positive decimal string`);
+    });
+    checkRule("rpcLatency", (rule, at) => {
+      if (!isNumber(rule.aboveMs) || rule.aboveMs <= 0) errors.push(`${at}.aboveMs: must be a positive number`);
+    });
+  }
+
+  if (checkSection("monitoring")) {
+    const { enabled, host, port, allowedHosts, maxCycleAgeSeconds, dashboard, control } = config.monitoring;
+    if (typeof enabled !== "boolean") errors.push(`monitoring.enabled: must be true or false`);
+    if (typeof dashboard !== "boolean") errors.push(`monitoring.dashboard: must be true or false`);
+    if (typeof control !== "boolean") errors.push(`monitoring.control: must be true or false`);
+    else if (control && !["127.0.0.1", "localhost", "::1"].includes(host)) {
+      errors.push(`monitoring.control: the control API only listens on a loopback host (127.0.0.1, localhost or ::1; got ${JSON.stringify(host)})`);
+    }
+    if (typeof host !== "string" || host === "") errors.push(`monitoring.host: must be a host name or IP address such as "127.0.0.1"`);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) errors.push(`monitoring.port: must be a port number`);
+    if (!Array.isArray(allowedHosts) || !allowedHosts.every(value => typeof value === "string" && value !== "")) {
+      errors.push(`monitoring.allowedHosts: must be a list of extra Host headers to accept, e.g. ["bot.lan:9464"]`);
+    }
+    if (maxCycleAgeSeconds !== null && (!isNumber(maxCycleAgeSeconds) || maxCycleAgeSeconds <= 0)) {
+      errors.push(`monitoring.maxCycleAgeSeconds: must be a positive number, or null to follow loopInterval.maxSeconds`);
+    }
+  }
+
+  return errors;
+}
+
+// Loads and validates the configuration. `selection` is a profile name from config.json or a path to another .json file;
+// `networkName` picks an entry from "networks" and takes precedence over the config's "network" setting.
+function loadConfig(selection = process.env.BOT_PROFILE, networkName = process.env.BOT_NETWORK) {
+  let configFile = CONFIG_FILE;
+  let profileName = null;
+  if (selection && selection.endsWith(".json")) {
+    configFile = path.resolve(selection);
+  } else if (selection) {
+    profileName = selection;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read config file ${configFile}: ${error.message}`);
+  }
+
+  const profiles = config.profiles || {};
+  if (profileName) {
+    if (!profiles[profileName]) {
+      throw new Error(`Unknown config profile "${profileName}". Available profiles: ${Object.keys(profiles).join(", ") || "(none)"}`);
+    }
+    config = deepMerge(config, profiles[profileName]);
+  }
+
+  const overrides = applyEnvOverrides(config, process.env);
+  if (networkName) config.network = networkName;
+
+  // Legacy single-endpoint variables still win over the selected network's settings
+  const selectedNetwork = isPlainObject(config.networks) ? config.networks[config.network] : null;
+  if (selectedNetwork && process.env.RPC_URL) {
+    selectedNetwork.rpcUrls = [process.env.RPC_URL];
+    overrides.push(`networks.${config.network}.rpcUrls (RPC_URL)`);
+  }
+  if (selectedNetwork && process.env.EXPLORER_TX_URL) {
+    const explorerUrl = process.env.EXPLORER_TX_URL;
+    selectedNetwork.explorerTxUrl = explorerUrl.includes("{hash}") ? explorerUrl : `${explorerUrl}{hash}`;
+    overrides.push(`networks.${config.network}.explorerTxUrl (EXPLORER_TX_URL)`);
+  }
+
+  // Older configs name a single XRP/token pair instead of a list of pairs
+  if (isPlainObject(config.addLiquidity) && config.addLiquidity.lpTokenName !== undefined) {
+    const { lpTokenName, lpBaseAmount, lpTokenAmount, ...rest } = config.addLiquidity;
+    config.addLiquidity = { ...rest, pairs: [{ tokenA: "XRP", tokenB: lpTokenName, amountA: lpBaseAmount, amountB: lpTokenAmount }] };
+  }
+  if (isPlainObject(config.removeLiquidity) && config.removeLiquidity.lpTokenName !== undefined) {
+    const { lpTokenName, ...rest } = config.removeLiquidity;
+    config.removeLiquidity = { ...rest, pairs: [{ tokenA: "XRP", tokenB: lpTokenName }] };
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    const source = profileName ? `${configFile}, profile "${profileName}"` : configFile;
+    throw new Error(`Invalid configuration (${source}):\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return { config, configFile, profileName, overrides };
+}
+
+function applyConfig(config) {
+  const network = config.networks[config.network];
+  NETWORK_NAME = config.network;
+  EXPECTED_CHAIN_ID = BigInt(network.chainId);
+  RPC_URLS = [...network.rpcUrls];
+  EXPLORER_TX_URL = network.explorerTxUrl;
+  ROUTER_ADDRESS = network.routerAddress;
+  FACTORY_ADDRESS = network.factoryAddress || null;
+  TOKENS = { ...network.tokens };
+  WRAPPED_NATIVE_ADDRESS = TOKENS[network.wrappedNative];
+
+  ACTION_PROBABILITIES = { ...config.actionProbabilities };
+  TOKEN_AMOUNT_CONFIG = {
+    ...config.tokenAmounts,
+    SEND_AND_RECEIVE_CONFIG: { ...config.sendAndReceive },
+    RANDOM_SEND_CONFIG: { ...config.randomSend },
+    ADD_LIQUIDITY_CONFIG: { ...config.addLiquidity },
+    REMOVE_LIQUIDITY_CONFIG: { ...config.removeLiquidity },
+  };
+  REBALANCE_THRESHOLDS = { ...config.rebalanceThresholds };
+  GAS_LIMIT_COMPLEX = config.gasLimits.complex;
+  GAS_LIMIT_ERC20 = config.gasLimits.erc20;
+  GAS_LIMIT_XRP = config.gasLimits.xrp;
+  GAS_LIMIT_CUSTOM_CONTRACT = config.gasLimits.customContract;
+  SLIPPAGE_TOLERANCE_PERCENT = config.slippageTolerancePercent;
+  MIN_LOOP_INTERVAL_SECONDS = config.loopInterval.minSeconds;
+  MAX_LOOP_INTERVAL_SECONDS = config.loopInterval.maxSeconds;
+
+  RPC_POOL_CONFIG = { ...config.rpcPool };
+  NONCE_MANAGER_CONFIG = { ...config.nonceManager };
+  WALLET_CONCURRENCY = config.walletConcurrency;
+  GAS_STRATEGY_CONFIG = { ...config.gasStrategy };
+  GAS_BUDGET = { ...config.gasBudget };
+  APPROVAL_CONFIG = { ...config.approvals };
+  ALERT_CONFIG = { ...config.alerts };
+  configureAlerts(ALERT_CONFIG);
+  ALERT_RULES_CONFIG = { ...config.alertRules };
+  MONITORING_CONFIG = { ...config.monitoring };
+
+  provider = new RpcPoolProvider(RPC_URLS, EXPECTED_CHAIN_ID, RPC_POOL_CONFIG);
+}
+
+function txUrl(hash) {
+  if (simulatedReceipts.has(hash)) return `${hash} (simulated, not sent)`;
+  return EXPLORER_TX_URL.replace("{hash}", hash);
+}
+
+// --- RPC Provider Pool ---
+// An ethers provider that spreads requests over several RPC endpoints. Each endpoint is scored by its
+// latency and recent error rate; requests go to the best endpoint and fail over to the next one on
+// timeouts, rate limits and connection errors. Balance reads are answered by a quorum of endpoints.
+// Because it is a regular ethers provider, wallets and contracts built on it route every call through the pool.
+
+const RPC_HEALTH_WINDOW = 50; // Outcomes kept per endpoint for the error rate
+const RPC_LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the latency moving average
+const BALANCE_OF_SELECTOR = ethers.id("balanceOf(address)").slice(0, 10);
+const NON_FAILOVER_ERROR_CODES = [ // Real answers from a healthy node; another endpoint would say the same
+  "CALL_EXCEPTION", "INSUFFICIENT_FUNDS", "NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED", "TRANSACTION_REPLACED",
+  "INVALID_ARGUMENT", "UNSUPPORTED_OPERATION", "ACTION_REJECTED",
+];
+
+function isFailoverError(error) {
+  if (NON_FAILOVER_ERROR_CODES.includes(error.code)) return false;
+  if (["TIMEOUT", "SERVER_ERROR", "NETWORK_ERROR"].includes(error.code)) return true;
+  return /timeout|timed out|rate limit|too many requests|429|limit exceeded|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|socket hang up|bad response/i.test(error.message || "");
+}
+
+class RpcPoolProvider extends ethers.AbstractProvider {
+  #network = null;
+
+  constructor(urls, expectedChainId, options) {
+    super();
+    this.options = options;
+    this.expectedNetwork = ethers.Network.from(expectedChainId);
+    this.endpoints = urls.map(url => ({
+      url,
+      // staticNetwork stops each child from probing on its own; the pool checks chain IDs itself
+      provider: new ethers.JsonRpcProvider(url, this.expectedNetwork, { staticNetwork: this.expectedNetwork }),
+      requests: 0,
+      errors: 0,
+      outcomes: [], // true = success, false = failover error
+      latencyMs: null,
+      consecutiveErrors: 0,
+      cooldownUntil: 0,
+      disabledReason: null,
+      lastError: null,
+    }));
+  }
+
+  #errorRate(endpoint) {
+    if (endpoint.outcomes.length === 0) return 0;
+    return endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length;
+  }
+
+  #score(endpoint) {
+    const latency = endpoint.latencyMs === null ? 0 : endpoint.latencyMs; // Untried endpoints get a chance first
+    return latency * (1 + 4 * this.#errorRate(endpoint));
+  }
+
+  // Usable endpoints, best first. Endpoints in cooldown are only used as a last resort (unless readyOnly).
+  #rankedEndpoints(readyOnly = false) {
+    const now = Date.now();
+    const usable = this.endpoints.filter(e => !e.disabledReason);
+    const ready = usable.filter(e => e.cooldownUntil <= now).sort((a, b) => this.#score(a) - this.#score(b));
+    if (readyOnly) return ready;
+    const cooling = usable.filter(e => e.cooldownUntil > now).sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    return [...ready, ...cooling];
+  }
+
+  #record(endpoint, ok, latencyMs, error) {
+    endpoint.requests++;
+    endpoint.outcomes.push(ok);
+    if (endpoint.outcomes.length > RPC_HEALTH_WINDOW) endpoint.outcomes.shift();
+    if (ok) {
+      endpoint.consecutiveErrors = 0;
+      endpoint.latencyMs = endpoint.latencyMs === null
+        ? latencyMs
+        : Math.round(RPC_LATENCY_SMOOTHING * latencyMs + (1 - RPC_LATENCY_SMOOTHING) * endpoint.latencyMs);
+    } else {
+      endpoint.errors++;
+      endpoint.consecutiveErrors++;
+      endpoint.lastError = error.shortMessage || error.message;
+      if (endpoint.consecutiveErrors >= 2 && endpoint.cooldownUntil <= Date.now()) {
+        endpoint.cooldownUntil = Date.now() + this.options.cooldownSeconds * 1000;
+        logger.warn(chalk.yellow(`RPC ${endpoint.url} failed ${endpoint.consecutiveErrors} times in a row, cooling down for ${this.options.cooldownSeconds}s: ${endpoint.lastError}`));
+      }
+    }
+  }
+
+  async #performOn(endpoint, req) {
+    const startedAt = Date.now();
+    let timer;
+    try {
+      const result = await Promise.race([
+        req.method === "send" ? endpoint.provider.send(req.rpcMethod, req.params) : endpoint.provider._perform(req),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(ethers.makeError(`RPC request ${req.rpcMethod || req.method} timed out after ${this.options.requestTimeoutMs}ms`, "TIMEOUT")), this.options.requestTimeoutMs);
+        }),
+      ]);
+      this.#record(endpoint, true, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (isFailoverError(error)) {
+        this.#record(endpoint, false, Date.now() - startedAt, error);
+      } else {
+        this.#record(endpoint, true, Date.now() - startedAt); // The node answered; the request itself was bad
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async #performWithFailover(req) {
+    const ranked = this.#rankedEndpoints();
+    if (ranked.length === 0) throw new Error("No usable RPC endpoints (all disabled).");
+    let lastError = null;
+    for (const endpoint of ranked) {
+      try {
+        return await this.#performOn(endpoint, req);
+      } catch (error) {
+        if (!isFailoverError(error)) throw error;
+        lastError = error;
+        logger.debug(chalk.gray(`RPC ${endpoint.url} failed for ${req.method} (${error.shortMessage || error.message}), trying next endpoint...`));
+      }
+    }
+    throw lastError;
+  }
+
+  // Asks the best `balanceQuorum` endpoints and returns the majority answer, so a lagging node can't report a stale balance
+  async #performWithQuorum(req) {
+    const ranked = this.#rankedEndpoints(true);
+    const quorum = Math.min(this.options.balanceQuorum, ranked.length);
+    if (quorum <= 1) return await this.#performWithFailover(req);
+
+    const results = await Promise.allSettled(ranked.slice(0, quorum).map(endpoint => this.#performOn(endpoint, req)));
+    const answers = results.filter(r => r.status === "fulfilled").map(r => r.value);
+    if (answers.length === 0) {
+      const error = results[0].reason;
+      if (!isFailoverError(error)) throw error;
+      return await this.#performWithFailover(req); // Fall back to anyone who answers
+    }
+
+    const tally = new Map();
+    for (const answer of answers) {
+      const key = String(answer);
+      tally.set(key, (tally.get(key) || 0) + 1);
+    }
+    const [bestKey, votes] = [...tally.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (tally.size > 1) {
+      logger.warn(chalk.yellow(`RPC endpoints disagree on ${req.method} (${tally.size} different answers); using the one returned by ${votes}/${answers.length}.`));
+    }
+    return answers.find(answer => String(answer) === bestKey);
+  }
+
+  async _perform(req) {
+    if (req.method === "getTransactionReceipt" && simulatedReceipts.has(req.hash)) return simulatedReceipts.get(req.hash).receipt; // Dry run
+    const isBalanceRead = req.method === "getBalance"
+      || (req.method === "call" && typeof req.transaction.data === "string" && req.transaction.data.startsWith(BALANCE_OF_SELECTOR));
+    return isBalanceRead ? await this.#performWithQuorum(req) : await this.#performWithFailover(req);
+  }
+
+  // Raw JSON-RPC call for methods ethers has no wrapper for (e.g. eth_feeHistory), with the same failover
+  async send(method, params) {
+    return await this.#performWithFailover({ method: "send", rpcMethod: method, params });
+  }
+
+  async _detectNetwork() {
+    if (!this.#network) {
+      const chainId = await this.#performWithFailover({ method: "chainId" });
+      this.#network = ethers.Network.from(ethers.getBigInt(chainId));
+    }
+    return this.#network;
+  }
+
+  // Queries every endpoint's chain ID and takes endpoints on the wrong chain out of rotation
+  async checkEndpoints() {
+    return await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const chainId = ethers.getBigInt(await this.#performOn(endpoint, { method: "chainId" }));
+        if (chainId !== this.expectedNetwork.chainId) {
+          endpoint.disabledReason = `wrong chain ID ${chainId} (expected ${this.expectedNetwork.chainId})`;
+        }
+        return { url: endpoint.url, chainId, ok: !endpoint.disabledReason, error: endpoint.disabledReason };
+      } catch (error) {
+        return { url: endpoint.url, chainId: null, ok: false, error: error.shortMessage || error.message };
+      }
+    }));
+  }
+
+  getHealthReport() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      status: endpoint.disabledReason ? "disabled" : (endpoint.cooldownUntil > now ? "cooling-down" : "healthy"),
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      errorRatePercent: Math.round(this.#errorRate(endpoint) * 1000) / 10,
+      latencyMs: endpoint.latencyMs,
+      lastError: endpoint.disabledReason || endpoint.lastError,
+    }));
+  }
+
+  destroy() {
+    for (const endpoint of this.endpoints) endpoint.provider.destroy();
+    super.destroy();
+  }
+}
+
+// --- Nonce Management ---
+// Every wallet is wrapped in a ManagedSigner so all of its transactions pass through one place. Nonces are handed
+// out locally, so several transactions of the same wallet can be in flight without colliding, and every broadcast
+// is remembered until it is mined so a stuck one can be replaced (same nonce, higher fees) or cancelled.
+
+const NONCE_RESYNC_ERROR_CODES = ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"]; // Our local nonce is behind the node
+const RECEIPT_POLL_INTERVAL_MS = 2000;
+const managedSigners = new Map(); // address -> ManagedSigner, so a transaction response can be traced back to its signer
+
+// Raises a fee by `percent`, rounding up so the bump is never lost to integer division
+function bumpFee(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+function maxBigInt(...values) {
+  return values.filter(value => value != null).reduce((max, value) => (value > max ? value : max), 0n);
+}
+
+class ManagedSigner extends ethers.AbstractSigner {
+  #wallet;
+  #nextNonce = null; // Next nonce to hand out; null = ask the node
+  #queue = Promise.resolve(); // Serializes nonce assignment and broadcast
+
+  // options.gasBudget = false skips the per-wallet gas budget and options.register = false keeps the signer out of
+  // managedSigners (both for the throwaway wallets created by SEND_AND_RECEIVE, which would otherwise stay there
+  // with their keys for the life of the process)
+  constructor(wallet, options = {}) {
+    super(wallet.provider);
+    this.#wallet = wallet;
+    this.address = wallet.address;
+    this.options = options;
+    this.pending = new Map(); // nonce -> { nonce, request, hashes, sentAt, replacements }
+    if (options.register !== false) managedSigners.set(this.address, this);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  // The copy has its own pending map, so it must not take over this signer's managedSigners entry
+  connect(newProvider) {
+    return new ManagedSigner(this.#wallet.connect(newProvider), { ...this.options, register: false });
+  }
+
+  async signTransaction(tx) {
+    return await this.#wallet.signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return await this.#wallet.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return await this.#wallet.signTypedData(domain, types, value);
+  }
+
+  #exclusive(task) {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => {});
+    return result;
+  }
+
+  // The node's pending count covers transactions sent from elsewhere; the local counter covers ones the node
+  // (or the pool endpoint that answered) has not seen yet
+  async #takeNonce() {
+    const nodeNonce = await this.provider.getTransactionCount(this.address, "pending");
+    const nonce = Math.max(nodeNonce, this.#nextNonce ?? 0);
+    this.#nextNonce = nonce + 1;
+    return nonce;
+  }
+
+  async #signAndBroadcast(request) {
+    const unsigned = { ...request };
+    delete unsigned.from;
+    return await this.provider.broadcastTransaction(await this.#wallet.signTransaction(unsigned));
+  }
+
+  // The node's estimate (plus gasStrategy.estimateGasBufferPercent) replaces the caller's fixed GAS_LIMIT_* value,
+  // which stays as the fallback when estimation fails
+  async #gasLimitFor(tx) {
+    try {
+      const estimate = await this.estimateGas({ ...tx, gasLimit: undefined });
+      return (estimate * BigInt(Math.round(100 + GAS_STRATEGY_CONFIG.estimateGasBufferPercent))) / 100n;
+    } catch (error) {
+      logger.warn(chalk.yellow(`  Gas estimate failed (${error.shortMessage || error.message}), using the fixed limit of ${tx.gasLimit}`));
+      return BigInt(tx.gasLimit);
+    }
+  }
+
+  // Worst-case cost of this wallet's pending transactions, optionally leaving one nonce out
+  #reservedGasCost(exceptNonce = null) {
+    let reserved = 0n;
+    for (const entry of this.pending.values()) {
+      if (entry.nonce !== exceptNonce) reserved += maxGasCost(entry.request);
+    }
+    return reserved;
+  }
+
+  async #checkGasBudget(request, exceptNonce = null) {
+    if (this.options.gasBudget === false) return;
+    await this.refreshPending(); // Settle whatever got mined so the daily total uses actual costs
+    checkGasBudget(this.address, maxGasCost(request), this.#reservedGasCost(exceptNonce));
+  }
+
+  // Dry-run stand-in for sendTransaction: eth_call + estimateGas, a report, and a response that never hits the chain
+  async #simulate(tx) {
+    const request = await this.populateCall({ ...tx, gasLimit: undefined });
+    const step = ++dryRunStepsInAction;
+    dryRunSummary.steps++;
+
+    let returnData;
+    try {
+      returnData = await this.provider.call(request);
+    } catch (error) {
+      const reason = error.reason || error.shortMessage || error.message;
+      if (step === 1) {
+        dryRunSummary.reverted++;
+        throw Object.assign(new Error(`[dry-run] Transaction would revert: ${reason}`), { code: "SIMULATION_REVERTED" });
+      }
+      // Earlier steps of this action (an approval, a funding transfer) were only simulated, so this one can't pass yet
+      dryRunSummary.unverified++;
+      logger.warn(chalk.yellow(`  [dry-run] Step ${step} could not be verified: ${reason} (depends on ${step - 1} earlier simulated step(s))`));
+      return this.#simulatedResponse(request, BigInt(tx.gasLimit ?? 0), 0n, false);
+    }
+
+    let gasUsed;
+    let gasLimit;
+    try {
+      gasUsed = await this.estimateGas(request);
+      gasLimit = (gasUsed * BigInt(Math.round(100 + GAS_STRATEGY_CONFIG.estimateGasBufferPercent))) / 100n;
+    } catch (error) {
+      gasUsed = gasLimit = BigInt(tx.gasLimit ?? 0);
+    }
+    const feePerGas = BigInt(tx.maxFeePerGas ?? tx.gasPrice ?? (await this.provider.getFeeData()).gasPrice ?? 0);
+    if (this.options.gasBudget !== false) checkGasBudget(this.address, gasLimit * feePerGas, 0n);
+
+    const { name, changes } = await analyzeSimulatedCall(request, returnData);
+    const gasCost = gasUsed * feePerGas;
+    dryRunSummary.gasCostWei += gasCost;
+    logger.info(chalk.yellow(`  [dry-run] Step ${step}: ${name} would succeed`));
+    logger.info(chalk.yellow(`    Gas: ~${gasUsed} (limit ${gasLimit}), about ${ethers.formatEther(gasCost)} XRP at the chosen max fee`));
+    logger.info(chalk.yellow(`    Balance changes for ${this.address}: ${[...changes, `-${ethers.formatEther(gasCost)} XRP (gas)`].join(", ")}`));
+    return this.#simulatedResponse(request, gasUsed, feePerGas, true);
+  }
+
+  #simulatedResponse(request, gasUsed, feePerGas, verified) {
+    const hash = ethers.id(`dry-run:${this.address}:${dryRunSummary.steps}`);
+    const receipt = {
+      transactionHash: hash, blockHash: ethers.ZeroHash, blockNumber: "0x0", transactionIndex: "0x0",
+      from: this.address, to: request.to || null, contractAddress: null, logs: [], logsBloom: ethers.zeroPadValue("0x", 256),
+      gasUsed: ethers.toQuantity(gasUsed), cumulativeGasUsed: ethers.toQuantity(gasUsed), effectiveGasPrice: ethers.toQuantity(feePerGas),
+      status: "0x1", type: "0x2",
+    };
+    simulatedReceipts.set(hash, { receipt, verified });
+    return {
+      hash, from: this.address, to: request.to, nonce: null, value: BigInt(request.value || 0), data: request.data,
+      wait: async () => await this.provider.getTransactionReceipt(hash),
+    };
+  }
+
+  async sendTransaction(tx) {
+    if (DRY_RUN) return await this.#simulate(tx);
+    return await this.#exclusive(async () => {
+      const explicitNonce = tx.nonce != null;
+      const nonce = explicitNonce ? Number(tx.nonce) : await this.#takeNonce();
+      let request;
+      try {
+        const gasLimit = tx.gasLimit != null ? await this.#gasLimitFor(tx) : undefined;
+        request = await this.populateTransaction({ ...tx, nonce, gasLimit });
+        await this.#checkGasBudget(request);
+        const response = await this.#signAndBroadcast(request);
+        const record = openTxRecord(this.address, request, response.hash);
+        this.pending.set(nonce, { nonce, request, hashes: [response.hash], sentAt: Date.now(), replacements: 0, record });
+        return response;
+      } catch (error) {
+        if (NONCE_RESYNC_ERROR_CODES.includes(error.code)) {
+          this.#nextNonce = null;
+        } else if (!explicitNonce && this.#nextNonce === nonce + 1) {
+          this.#nextNonce = nonce; // Nothing was broadcast, give the nonce back so no gap is left
+        }
+        throw error;
+      }
+    });
+  }
+
+  // Drops every tracked transaction whose nonce has been used by a mined transaction
+  async refreshPending() {
+    if (this.pending.size === 0) return;
+    const minedNonce = await this.provider.getTransactionCount(this.address, "latest");
+    for (const entry of [...this.pending.values()]) {
+      if (entry.nonce >= minedNonce) continue;
+      this.pending.delete(entry.nonce);
+      for (const hash of entry.hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) {
+          this.#settle(receipt, entry);
+          break;
+        }
+      }
+    }
+  }
+
+  #settle(receipt, entry) {
+    if (this.options.gasBudget !== false) recordGasSpent(this.address, receipt);
+    settleTxRecord(entry.record, receipt).catch(error => logger.warn(chalk.yellow(`  Could not record the results of ${receipt.hash}: ${error.message}`)));
+  }
+
+  // Pending transactions sent longer than `stuckAfterMs` ago, lowest nonce first (that one blocks all the others)
+  async getStuckTransactions(stuckAfterMs) {
+    await this.refreshPending();
+    const now = Date.now();
+    return [...this.pending.values()]
+      .filter(entry => now - entry.sentAt >= stuckAfterMs)
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  // Fees for a replacement: at least `bumpPercent` above what the pending transaction offered (nodes reject smaller
+  // bumps) and never below what the network currently asks
+  async #replacementFees(request, bumpPercent) {
+    const feeData = await this.provider.getFeeData();
+    if (request.maxFeePerGas != null) {
+      const maxPriorityFeePerGas = maxBigInt(bumpFee(request.maxPriorityFeePerGas, bumpPercent), feeData.maxPriorityFeePerGas);
+      const maxFeePerGas = maxBigInt(bumpFee(request.maxFeePerGas, bumpPercent), feeData.maxFeePerGas, maxPriorityFeePerGas);
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+    return { gasPrice: maxBigInt(bumpFee(request.gasPrice, bumpPercent), feeData.gasPrice) };
+  }
+
+  // Re-sends the transaction pending at `nonce` with higher fees. "speed-up" keeps the original call, "cancel" turns
+  // it into a zero-value transfer to ourselves. Whichever version gets mined uses up the nonce.
+  async replaceTransaction(nonce, mode = "speed-up", bumpPercent = 15) {
+    return await this.#exclusive(async () => {
+      const entry = this.pending.get(nonce);
+      if (!entry) throw new Error(`No pending transaction with nonce ${nonce} for ${this.address}`);
+
+      const request = mode === "cancel"
+        ? { ...entry.request, to: this.address, value: 0n, data: "0x", gasLimit: 21000n }
+        : { ...entry.request };
+      Object.assign(request, await this.#replacementFees(entry.request, bumpPercent));
+      await this.#checkGasBudget(request, nonce);
+
+      const response = await this.#signAndBroadcast(request);
+      entry.request = request;
+      entry.hashes.push(response.hash);
+      entry.record.sentHashes.push(response.hash);
+      entry.sentAt = Date.now();
+      entry.replacements++;
+      return response;
+    });
+  }
+
+  // Resolves with the receipt of whichever transaction sent with `nonce` (the original or a replacement) was mined
+  async waitForNonce(nonce, timeoutMs) {
+    const entry = this.pending.get(nonce);
+    if (!entry) throw new Error(`No pending transaction with nonce ${nonce} for ${this.address}`);
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+      // Read the mined count first: if it already covers the nonce, one of the receipts below must exist
+      const minedNonce = await this.provider.getTransactionCount(this.address, "latest");
+      for (const hash of entry.hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) {
+          if (this.pending.delete(nonce)) this.#settle(receipt, entry); // refreshPending() may have settled it already
+          return receipt;
+        }
+      }
+      if (minedNonce > nonce) {
+        this.pending.delete(nonce);
+        throw new Error(`Nonce ${nonce} of ${this.address} was used by a transaction this bot did not send`);
+      }
+      if (Date.now() >= deadline) throw Object.assign(new Error("Transaction confirmation timed out."), { code: "CONFIRMATION_TIMEOUT" });
+      await delay(Math.min(RECEIPT_POLL_INTERVAL_MS, Math.max(0, deadline - Date.now())));
+    }
+  }
+}
+
+// Replaces this wallet's stuck transactions (per the nonceManager config) so they stop blocking its later nonces
+async function sweepStuckTransactions(wallet) {
+  if (!(wallet instanceof ManagedSigner)) return;
+  const { stuckAfterSeconds, stuckAction, replacementFeeBumpPercent } = NONCE_MANAGER_CONFIG;
+  let stuck;
+  try {
+    stuck = await wallet.getStuckTransactions(stuckAfterSeconds * 1000);
+  } catch (error) {
+    logger.warn(chalk.yellow(`Could not check pending transactions of ${wallet.address}: ${error.shortMessage || error.message}`));
+    return;
+  }
+  for (const entry of stuck) {
+    const pendingSeconds = Math.round((Date.now() - entry.sentAt) / 1000);
+    logger.warn(chalk.yellow(`Nonce ${entry.nonce} of ${wallet.address} pending for ${pendingSeconds}s (${txUrl(entry.hashes[entry.hashes.length - 1])}). Sending ${stuckAction} replacement...`));
+    try {
+      const replacement = await wallet.replaceTransaction(entry.nonce, stuckAction, replacementFeeBumpPercent);
+      activityStats.totalTransactions++;
+      logger.info(chalk.cyan(`Replacement sent: ${txUrl(replacement.hash)}`), { txHash: replacement.hash });
+    } catch (error) {
+      logger.error(chalk.red(`Replacing nonce ${entry.nonce} of ${wallet.address} failed: ${error.shortMessage || error.message}`));
+    }
+  }
+}
+
+// --- Gas Strategy ---
+// getGasPrice() picks fees through the strategy named in gasStrategy.mode. Each strategy gets the retry attempt
+// (0 = first try) and returns ethers fee overrides: { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }.
+// Budgets are enforced per wallet by ManagedSigner before anything is signed.
+
+const GWEI = 1000000000n;
+
+// Multiplies a wei amount by a decimal factor such as 1.5
+function scaleFee(value, factor) {
+  return (value * BigInt(Math.round(factor * 100))) / 100n;
+}
+
+function logGasChoice(label, retryAttempt, fees) {
+  if (fees.maxFeePerGas != null) {
+    logger.info(chalk.gray(`  Using ${label} gas (Attempt ${retryAttempt + 1}): Max Priority Fee: ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} Gwei, Max Fee: ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} Gwei`));
+  } else {
+    logger.info(chalk.gray(`  Using ${label} gas price (Attempt ${retryAttempt + 1}): ${ethers.formatUnits(fees.gasPrice, 'gwei')} Gwei`));
+  }
+  return fees;
+}
+
+// The original behaviour: 5x the node's fees, plus 1x for every retry. Lands fast on a congested testnet, overpays otherwise.
+async function aggressiveGasFees(retryAttempt, { aggressive }) {
+  const feeData = await provider.getFeeData();
+  const buffer = aggressive.multiplier + retryAttempt * aggressive.retryStep;
+  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+    const maxPriorityFeePerGas = scaleFee(feeData.maxPriorityFeePerGas, buffer);
+    const baseFee = feeData.lastBaseFeePerGas || ethers.parseUnits("1", "gwei"); // Use a default if lastBaseFeePerGas is null
+    return logGasChoice("aggressive EIP-1559", retryAttempt, { maxFeePerGas: scaleFee(baseFee, buffer) + maxPriorityFeePerGas, maxPriorityFeePerGas });
+  }
+  const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei"); // Use a default if gasPrice is null
+  return logGasChoice("aggressive legacy", retryAttempt, { gasPrice: scaleFee(gasPrice, buffer) });
+}
+
+// Tip = median of the chosen reward percentile over recent blocks; max fee = next base fee x headroom + tip.
+// Every retry raises both by retryBumpPercent.
+async function feeHistoryGasFees(retryAttempt, { feeHistory }) {
+  const bump = 1 + (feeHistory.retryBumpPercent / 100) * retryAttempt;
+  let history;
+  try {
+    history = await provider.send("eth_feeHistory", [ethers.toQuantity(feeHistory.blocks), "latest", [feeHistory.rewardPercentile]]);
+  } catch (error) {
+    history = null; // Node without eth_feeHistory (or a pre-London chain)
+  }
+  if (!history || !Array.isArray(history.baseFeePerGas) || history.baseFeePerGas.length === 0) {
+    const feeData = await provider.getFeeData();
+    const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
+    return logGasChoice("legacy (no fee history)", retryAttempt, { gasPrice: scaleFee(gasPrice, bump) });
+  }
+
+  const rewards = (history.reward || []).map(reward => BigInt(reward[0])).filter(reward => reward > 0n).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  let tip = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : null;
+  if (tip === null) {
+    // Empty blocks: nobody needed to tip, so take the node's suggestion instead of zero
+    tip = (await provider.getFeeData()).maxPriorityFeePerGas || GWEI;
+  }
+  const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]); // The last entry is the upcoming block
+  const maxPriorityFeePerGas = scaleFee(tip, bump);
+  const maxFeePerGas = scaleFee(scaleFee(nextBaseFee, feeHistory.baseFeeMultiplier), bump) + maxPriorityFeePerGas;
+  return logGasChoice(`fee-history p${feeHistory.rewardPercentile}`, retryAttempt, { maxFeePerGas, maxPriorityFeePerGas });
+}
+
+// Fixed fees; the max fee is also the cap, so nothing pays more per gas. Retries don't raise it.
+async function fixedGasFees(retryAttempt, { fixed }) {
+  const maxFeePerGas = ethers.parseUnits(fixed.maxFeePerGasGwei, "gwei");
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas == null) return logGasChoice("fixed legacy", retryAttempt, { gasPrice: maxFeePerGas });
+  const maxPriorityFeePerGas = ethers.parseUnits(fixed.maxPriorityFeePerGasGwei, "gwei");
+  return logGasChoice("fixed EIP-1559", retryAttempt, { maxFeePerGas, maxPriorityFeePerGas });
+}
+
+const GAS_STRATEGIES = {
+  "fee-history": feeHistoryGasFees,
+  "fixed": fixedGasFees,
+  "aggressive": aggressiveGasFees,
+};
+
+async function getGasPrice(retryAttempt = 0) {
+  return await GAS_STRATEGIES[GAS_STRATEGY_CONFIG.mode](retryAttempt, GAS_STRATEGY_CONFIG);
+}
+
+// Worst case the transaction can cost: gas limit x max fee per gas
+function maxGasCost(request) {
+  return BigInt(request.gasLimit || 0) * BigInt(request.maxFeePerGas ?? request.gasPrice ?? 0);
+}
+
+// Today's (UTC) gas spending of a wallet, kept in its activity stats so it survives restarts
+function getDailyGasSpent(address) {
+  const walletStats = getWalletStats(address);
+  const today = new Date().toISOString().slice(0, 10);
+  if (!walletStats.gasSpentToday || walletStats.gasSpentToday.date !== today) {
+    walletStats.gasSpentToday = { date: today, wei: "0" };
+  }
+  return walletStats.gasSpentToday;
+}
+
+function recordGasSpent(address, receipt) {
+  const spent = getDailyGasSpent(address);
+  spent.wei = (BigInt(spent.wei) + receipt.gasUsed * receipt.gasPrice).toString();
+}
+
+// Throws if a transaction costing up to `cost` would break the per-transaction limit, or the daily limit given what
+// was already spent today plus `reservedCost` (the worst case of this wallet's still-pending transactions)
+function checkGasBudget(address, cost, reservedCost) {
+  const { perTransactionXrp, perDayXrp } = GAS_BUDGET;
+  if (perTransactionXrp !== null && cost > ethers.parseEther(perTransactionXrp)) {
+    throw Object.assign(new Error(`Gas budget: transaction could cost up to ${ethers.formatEther(cost)} XRP, over the per-transaction limit of ${perTransactionXrp} XRP`), { code: "GAS_BUDGET_EXCEEDED" });
+  }
+  if (perDayXrp !== null) {
+    const spent = BigInt(getDailyGasSpent(address).wei);
+    if (spent + reservedCost + cost > ethers.parseEther(perDayXrp)) {
+      throw Object.assign(new Error(`Gas budget: ${address} spent ${ethers.formatEther(spent)} XRP today (${ethers.formatEther(reservedCost)} XRP more pending); another ${ethers.formatEther(cost)} XRP would exceed the daily limit of ${perDayXrp} XRP`), { code: "GAS_BUDGET_EXCEEDED" });
+    }
+  }
+}
 
 // --- ABIs ---
 const ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
   "function balanceOf(address owner) view returns (uint256)",
   "function transfer(address to, uint256 amount) returns (bool)",
   "function approve(address spender, uint256 amount) returns (bool)",
@@ -162,6 +1342,33 @@ const ERC20_ABI = [
   "function symbol() view returns (string)"
 ];
 
+const FACTORY_ABI = [
+  "function getPair(address tokenA, address tokenB) view returns (address pair)"
+];
+
+const WRAPPED_NATIVE_ABI = [
+  "event Deposit(address indexed dst, uint256 wad)",
+  "event Withdrawal(address indexed src, uint256 wad)"
+];
+
+const PAIR_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function name() view returns (string)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function PERMIT_TYPEHASH() view returns (bytes32)",
+  "function nonces(address owner) view returns (uint256)"
+];
+
 const ROUTER_ABI = [
   {
     "inputs":[
@@ -256,7 +1463,28 @@ const ROUTER_ABI = [
         {"internalType":"address","name":"to","type":"address"},
         {"internalType":"uint256","name":"deadline","type":"uint256"}
     ],
-    "outputs":[{"internalType":"uint256","name":"amountETH","type":"uint256"}],
+    "outputs":[{"internalType":"uint256","name":"amountETH","type":"uint256"}],
+    "stateMutability":"nonpayable",
+    "type":"function"
+  },
+  {
+    "name":"removeLiquidityETHWithPermit",
+    "inputs": [
+        {"internalType":"address","name":"token","type":"address"},
+        {"internalType":"uint256","name":"liquidity","type":"uint256"},
+        {"internalType":"uint256","name":"amountTokenMin","type":"uint256"},
+        {"internalType":"uint256","name":"amountETHMin","type":"uint256"},
+        {"internalType":"address","name":"to","type":"address"},
+        {"internalType":"uint256","name":"deadline","type":"uint256"},
+        {"internalType":"bool","name":"approveMax","type":"bool"},
+        {"internalType":"uint8","name":"v","type":"uint8"},
+        {"internalType":"bytes32","name":"r","type":"bytes32"},
+        {"internalType":"bytes32","name":"s","type":"bytes32"}
+    ],
+    "outputs": [
+        {"internalType":"uint256","name":"amountToken","type":"uint256"},
+        {"internalType":"uint256","name":"amountETH","type":"uint256"}
+    ],
     "stateMutability":"nonpayable",
     "type":"function"
   },
@@ -473,6 +1701,582 @@ const ROUTER_ABI = [
 ];
 
 
+// --- Dry Run ---
+// With --dry-run every ManagedSigner simulates instead of signing: eth_call for the result or revert reason and
+// estimateGas for the cost. The perform* functions run unchanged and get a stand-in response back whose wait()
+// resolves to a synthetic receipt, so nothing reaches the chain and the state file is left alone.
+
+let DRY_RUN = false;
+// Stand-in hash -> { receipt (JSON-RPC shape), verified }. The provider answers eth_getTransactionReceipt from here, so the
+// tx.wait() calls inside the perform* functions (ethers wraps our response in its own) resolve straight away.
+const simulatedReceipts = new Map();
+let dryRunStepsInAction = 0; // Simulated transactions since the current withRetry attempt started
+const dryRunSummary = { steps: 0, reverted: 0, unverified: 0, gasCostWei: 0n };
+const tokenDecimalsCache = new Map();
+
+function tokenLabel(address) {
+  const symbol = Object.keys(TOKENS).find(s => TOKENS[s].toLowerCase() === address.toLowerCase());
+  return symbol || `${address.slice(0, 10)}…`;
+}
+
+async function getTokenDecimals(address) {
+  if (!tokenDecimalsCache.has(address)) {
+    tokenDecimalsCache.set(address, await new ethers.Contract(address, ERC20_ABI, provider).decimals());
+  }
+  return tokenDecimalsCache.get(address);
+}
+
+async function formatTokenChange(address, raw, sign) {
+  return `${sign}${ethers.formatUnits(raw, await getTokenDecimals(address))} ${tokenLabel(address)}`;
+}
+
+// Names the simulated call and lists the balance changes it would make, decoded from the eth_call result
+async function analyzeSimulatedCall(request, returnData) {
+  const value = BigInt(request.value || 0);
+  const xrpChange = (raw, sign) => `${sign}${ethers.formatEther(raw)} XRP`;
+  if (!request.data || request.data === "0x") {
+    return { name: `XRP transfer to ${request.to}`, changes: value > 0n ? [xrpChange(value, "-")] : [] };
+  }
+
+  const to = ethers.getAddress(request.to);
+  if (to === ROUTER_ADDRESS) {
+    const routerInterface = new ethers.Interface(ROUTER_ABI);
+    const call = routerInterface.parseTransaction({ data: request.data, value });
+    if (!call) return { name: `router call ${request.data.slice(0, 10)}`, changes: [] };
+    const result = routerInterface.decodeFunctionResult(call.fragment, returnData);
+    const { name, args } = call;
+    const lpLabel = (a, b) => `${a === WRAPPED_NATIVE_ADDRESS ? "XRP" : tokenLabel(a)}-${b === WRAPPED_NATIVE_ADDRESS ? "XRP" : tokenLabel(b)} LP`;
+
+    if (name.startsWith("swap")) {
+      if (result.length === 0) return { name, changes: ["(fee-on-transfer variant returns no amounts)"] };
+      const amounts = result[0];
+      const path = args.path;
+      const spent = name.includes("ETHFor") ? xrpChange(amounts[0], "-") : await formatTokenChange(path[0], amounts[0], "-");
+      const received = /For(Exact)?ETH/.test(name)
+        ? xrpChange(amounts[amounts.length - 1], "+")
+        : await formatTokenChange(path[path.length - 1], amounts[amounts.length - 1], "+");
+      return { name, changes: [spent, received] };
+    }
+    if (name === "addLiquidityETH") {
+      return { name, changes: [await formatTokenChange(args.token, result[0], "-"), xrpChange(result[1], "-"), `+${ethers.formatEther(result[2])} ${lpLabel(args.token, WRAPPED_NATIVE_ADDRESS)}`] };
+    }
+    if (name === "addLiquidity") {
+      return { name, changes: [await formatTokenChange(args.tokenA, result[0], "-"), await formatTokenChange(args.tokenB, result[1], "-"), `+${ethers.formatEther(result[2])} ${lpLabel(args.tokenA, args.tokenB)}`] };
+    }
+    if (name.startsWith("removeLiquidityETH")) {
+      const lpSpent = `-${ethers.formatEther(args.liquidity)} ${lpLabel(args.token, WRAPPED_NATIVE_ADDRESS)}`;
+      if (result.length === 1) return { name, changes: [lpSpent, xrpChange(result[0], "+"), `+? ${tokenLabel(args.token)}`] }; // Fee-on-transfer variant
+      return { name, changes: [lpSpent, await formatTokenChange(args.token, result[0], "+"), xrpChange(result[1], "+")] };
+    }
+    if (name.startsWith("removeLiquidity")) {
+      return { name, changes: [`-${ethers.formatEther(args.liquidity)} ${lpLabel(args.tokenA, args.tokenB)}`, await formatTokenChange(args.tokenA, result[0], "+"), await formatTokenChange(args.tokenB, result[1], "+")] };
+    }
+    return { name, changes: value > 0n ? [xrpChange(value, "-")] : [] };
+  }
+
+  const erc20Interface = new ethers.Interface(ERC20_ABI);
+  const call = erc20Interface.parseTransaction({ data: request.data, value });
+  if (call && call.name === "transfer") {
+    return { name: `${tokenLabel(to)}.transfer to ${call.args[0]}`, changes: [await formatTokenChange(to, call.args[1], "-")] };
+  }
+  if (call && call.name === "approve") {
+    return { name: `${tokenLabel(to)}.approve(${call.args[0]}, ${call.args[1]})`, changes: [] };
+  }
+  return { name: `call to ${to} (${request.data.slice(0, 10)})`, changes: value > 0n ? [xrpChange(value, "-")] : [] };
+}
+
+function displayDryRunSummary() {
+  logger.info(chalk.yellow(`\n--- Dry Run Summary ---`));
+  logger.info(chalk.yellow(`Simulated transactions: ${dryRunSummary.steps} (${dryRunSummary.reverted} would revert, ${dryRunSummary.unverified} could not be verified)`));
+  logger.info(chalk.yellow(`Estimated gas cost: ${ethers.formatEther(dryRunSummary.gasCostWei)} XRP`));
+  logger.info(chalk.yellow(`No transaction was signed or sent, and the state file was not changed.`));
+}
+
+// --- Fee-on-Transfer Tokens ---
+// Some tokens tax every transfer, so the receiver gets less than was sent. The plain router functions revert or
+// under-deliver with them, so once a token is seen doing this the *SupportingFeeOnTransferTokens variants are used.
+// What was found is remembered per token in tokenTransferFees and saved with the state.
+
+const FEE_PROBE_XRP = "0.0001"; // Simulated XRP → token swap used to measure a token's transfer fee
+const FEE_PROBE_STEPS = 16; // Binary search steps for the delivered amount (precision 1/65536 of the quote)
+
+function isFeeOnTransfer(address) {
+  const entry = tokenTransferFees[address.toLowerCase()];
+  return Boolean(entry && entry.feeOnTransfer);
+}
+
+// What is left of amountRaw after one transfer of every taxed token in `addresses` (e.g. a swap path)
+function afterTransferFees(amountRaw, addresses) {
+  return addresses.reduce((amount, address) => {
+    const entry = tokenTransferFees[address.toLowerCase()];
+    if (!entry || !entry.feeOnTransfer) return amount;
+    return (amount * BigInt(Math.round((100 - entry.feePercent) * 100))) / BigInt(10000);
+  }, amountRaw);
+}
+
+// Compares what should have arrived with what did and remembers the result for the token
+function recordTransferOutcome(address, expectedRaw, actualRaw, source) {
+  const key = address.toLowerCase();
+  const known = tokenTransferFees[key];
+  const entry = { symbol: tokenLabel(address), feeOnTransfer: false, feePercent: 0, detectedAt: new Date().toISOString(), source };
+  if (actualRaw < expectedRaw) {
+    entry.feeOnTransfer = true;
+    entry.feePercent = Number(((expectedRaw - actualRaw) * 10000n) / expectedRaw) / 100;
+    if (!known || !known.feeOnTransfer || known.feePercent !== entry.feePercent) {
+      logger.warn(chalk.yellow(`${entry.symbol} takes a ${entry.feePercent}% fee on transfers (seen in ${source}). Swaps and liquidity removals will use the fee-on-transfer variants.`));
+    }
+    tokenTransferFees[key] = entry;
+  } else if (!known) {
+    tokenTransferFees[key] = entry; // A token that once took a fee stays marked, fees are often waived for some addresses
+  }
+}
+
+// Measures a token's transfer fee the first time it is traded: simulates buying it with a little XRP through the
+// fee-on-transfer swap variant and narrows amountOutMin down to what would really arrive, then compares that with
+// getAmountsOut's quote. Tokens without a funded XRP pair are left for the transfer checks to find.
+async function detectTransferFee(wallet, address) {
+  if (address === WRAPPED_NATIVE_ADDRESS || tokenTransferFees[address.toLowerCase()]) return;
+  const pairInfo = await getPairInfo(WRAPPED_NATIVE_ADDRESS, address);
+  if (!pairInfo || Object.values(pairInfo.reserves).some(reserve => reserve === 0n)) return;
+
+  const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
+  const path = [WRAPPED_NATIVE_ADDRESS, address];
+  const value = ethers.parseEther(FEE_PROBE_XRP);
+  const quote = (await router.getAmountsOut(value, path))[1];
+  if (quote === 0n) return;
+
+  const deadline = Math.floor(Date.now() / 1e3) + 600;
+  const delivers = async (amountOutMin) => {
+    try {
+      await router.swapExactETHForTokensSupportingFeeOnTransferTokens.staticCall(amountOutMin, path, wallet.address, deadline, { value });
+      return true;
+    } catch (_) {
+      return false;
+    }
+  };
+
+  if (await delivers(quote)) {
+    recordTransferOutcome(address, quote, quote, "a simulated swap");
+    return;
+  }
+  if (!(await delivers(0n))) return; // Reverts for another reason; the real call will report it
+
+  let [low, high] = [0n, quote]; // low always delivers, high never does
+  for (let i = 0; i < FEE_PROBE_STEPS && high - low > 1n; i++) {
+    const middle = (low + high) / 2n;
+    if (await delivers(middle)) low = middle;
+    else high = middle;
+  }
+  recordTransferOutcome(address, quote, low, "a simulated swap");
+}
+
+// --- Allowance Management ---
+// Every router approval goes through ensureAllowance, which sends it via withRetry and sizes it by approvals.policy:
+// "exact" approves just what the action spends, "fixed-cap" tops the allowance up to approvals.fixedCap (or the amount
+// needed, if larger) so most actions skip the approve, and "infinite" approves MaxUint256 but only with allowInfinite.
+// Tokens in approvals.resetToZeroTokens (USDT-style) revert on changing a non-zero allowance, so they are zeroed first.
+
+const APPROVAL_POLICIES = ["exact", "fixed-cap", "infinite"];
+
+function isResetToZeroToken(address) {
+  return APPROVAL_CONFIG.resetToZeroTokens.some(symbol => TOKENS[symbol] && TOKENS[symbol].toLowerCase() === address.toLowerCase());
+}
+
+// The allowance the policy grants for a token, given that the current action needs at least `neededRaw` (0n = none)
+function targetAllowance(symbol, decimals, neededRaw) {
+  if (APPROVAL_CONFIG.policy === "infinite") return ethers.MaxUint256;
+  if (APPROVAL_CONFIG.policy === "fixed-cap") {
+    const cap = APPROVAL_CONFIG.fixedCap[symbol] ?? APPROVAL_CONFIG.fixedCap.DEFAULT;
+    if (cap) return maxBigInt(ethers.parseUnits(cap, decimals), neededRaw);
+  }
+  return neededRaw;
+}
+
+// Sends approve(ROUTER_ADDRESS, amountRaw) for `wallet` through withRetry; returns the receipt
+async function sendApproval(wallet, tokenAddress, symbol, amountRaw, decimals) {
+  const label = amountRaw === ethers.MaxUint256 ? "unlimited" : ethers.formatUnits(amountRaw, decimals);
+  logger.info(chalk.blue(`Approving router for ${label} ${symbol}...`));
+  const tokenC = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const receipt = await withRetry((gasOptions) => tokenC.approve(ROUTER_ADDRESS, amountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions }));
+  logger.info(chalk.green(`✔ Approval confirmed: ${txUrl(receipt.hash)}`), { txHash: receipt.hash });
+  return receipt;
+}
+
+// Makes sure the router may pull `neededRaw` of the token from `wallet`, approving per the policy when it can't yet
+async function ensureAllowance(wallet, tokenAddress, symbol, neededRaw) {
+  const tokenC = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const currentAllowance = await tokenC.allowance(wallet.address, ROUTER_ADDRESS);
+  if (currentAllowance >= neededRaw) {
+    logger.info(chalk.gray(`Already approved enough ${symbol} for router.`));
+    return;
+  }
+
+  const decimals = Number(await tokenC.decimals());
+  if (currentAllowance > 0n && isResetToZeroToken(tokenAddress)) {
+    logger.info(chalk.gray(`  ${symbol} requires resetting the allowance to zero first.`));
+    await sendApproval(wallet, tokenAddress, symbol, 0n, decimals);
+  }
+  await sendApproval(wallet, tokenAddress, symbol, targetAllowance(symbol, decimals, neededRaw), decimals);
+}
+
+// Approves every configured token the wallet holds up to the policy's allowance, so the loop's actions don't each
+// start with an approve. Nothing to do under "exact", which has no amount to approve ahead of time.
+async function approveTokensAtStartup(walletList) {
+  if (!APPROVAL_CONFIG.approveAtStartup || APPROVAL_CONFIG.policy === "exact") return;
+  logger.info(chalk.cyan(`\n--- Pre-approving router allowances (policy: ${APPROVAL_CONFIG.policy}) ---`));
+  await runWithConcurrency(walletList, WALLET_CONCURRENCY, async (wallet) => {
+    let announced = false;
+    for (const [symbol, tokenAddress] of Object.entries(TOKENS)) {
+      try {
+        const tokenC = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const [balance, decimals] = await Promise.all([tokenC.balanceOf(wallet.address), tokenC.decimals()]);
+        if (balance === 0n) continue; // Nothing the router could pull yet
+        const target = targetAllowance(symbol, Number(decimals), 0n);
+        // Some tokens count down even an unlimited allowance, so "infinite" only renews once half of it is used
+        const threshold = target === ethers.MaxUint256 ? ethers.MaxUint256 / 2n : target;
+        if (target === 0n || await tokenC.allowance(wallet.address, ROUTER_ADDRESS) >= threshold) continue;
+        if (!announced) logger.info(chalk.magenta(`Wallet ${wallet.address}:`));
+        announced = true;
+        await withLogContext({ walletAddress: wallet.address, action: "APPROVE", actionId: crypto.randomUUID() }, () => ensureAllowance(wallet, tokenAddress, symbol, target));
+      } catch (error) {
+        logger.warn(chalk.yellow(`Could not pre-approve ${symbol} for ${wallet.address}: ${error.message}`));
+      }
+    }
+  });
+}
+
+// Sets the router's allowance to zero for every configured token and pair LP token of each wallet
+async function revokeApprovals(walletList) {
+  const targets = Object.entries(TOKENS).map(([symbol, address]) => ({ symbol, address }));
+  const pairs = [...TOKEN_AMOUNT_CONFIG.ADD_LIQUIDITY_CONFIG.pairs, ...TOKEN_AMOUNT_CONFIG.REMOVE_LIQUIDITY_CONFIG.pairs];
+  for (const { tokenA, tokenB } of pairs) {
+    const pairInfo = await getPairInfo(tokenA === "XRP" ? WRAPPED_NATIVE_ADDRESS : TOKENS[tokenA], tokenB === "XRP" ? WRAPPED_NATIVE_ADDRESS : TOKENS[tokenB]);
+    if (pairInfo && !targets.some(t => t.address.toLowerCase() === pairInfo.address.toLowerCase())) {
+      targets.push({ symbol: `${tokenA}/${tokenB} LP`, address: pairInfo.address });
+    }
+  }
+
+  let allSucceeded = true;
+  for (const wallet of walletList) {
+    logger.info(chalk.magenta(`\nWallet: ${wallet.address}`));
+    let revoked = 0;
+    for (const { symbol, address } of targets) {
+      try {
+        const allowance = await new ethers.Contract(address, ERC20_ABI, provider).allowance(wallet.address, ROUTER_ADDRESS);
+        if (allowance === 0n) continue;
+        logger.info(chalk.blue(`Revoking router allowance for ${symbol}...`));
+        const tokenC = new ethers.Contract(address, ERC20_ABI, wallet);
+        const receipt = await withRetryFor(wallet, "REVOKE_APPROVAL", (gasOptions) => tokenC.approve(ROUTER_ADDRESS, 0n, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions }));
+        logger.info(chalk.green(`✔ Revoked ${symbol}: ${txUrl(receipt.hash)}`), { txHash: receipt.hash });
+        revoked++;
+      } catch (error) {
+        logger.error(chalk.red(`Could not revoke ${symbol} for ${wallet.address}: ${error.message}`), { walletAddress: wallet.address, errorCode: error.code });
+        allSucceeded = false;
+      }
+    }
+    if (revoked === 0) logger.info(chalk.gray(`  No router allowances to revoke.`));
+  }
+  return allSucceeded;
+}
+
+// --- Receipt Decoding ---
+// Every recorded receipt is decoded into what the wallet actually paid and got: ERC-20 Transfer logs to or from the
+// wallet, WXRP Deposit/Withdrawal by the router for the native side, and the pair Swap/Mint/Burn logs of the pools
+// it went through. Swaps are compared with the quote they were sent at; all of it adds up into a per-wallet PnL.
+
+const PNL_FORMAT = "fixed256x18"; // Decimal precision the realized amounts are summed in
+
+function addDecimalStrings(a, b) {
+  return ethers.FixedNumber.fromString(a, PNL_FORMAT).add(ethers.FixedNumber.fromString(b, PNL_FORMAT)).toString();
+}
+
+// Remembers the quote a swap was sent at; withRetry moves it over to the receipt. Returns tx.
+function quoteAction(tx, quote) {
+  actionQuotes.set(tx, quote);
+  return tx;
+}
+
+// Net raw amount per asset ("XRP" or a token/LP address) that entered (+) or left (-) the wallet, plus the pool events
+function decodeReceiptLogs(receipt, walletAddress) {
+  const pairInterface = new ethers.Interface(PAIR_ABI);
+  const wrappedInterface = new ethers.Interface(WRAPPED_NATIVE_ABI);
+  const parse = (iface, log) => {
+    try {
+      return iface.parseLog(log);
+    } catch (_) {
+      return null; // Not one of ours, or an event with a clashing signature but a different layout
+    }
+  };
+  const flows = new Map();
+  const addFlow = (key, amount) => flows.set(key, (flows.get(key) || 0n) + amount);
+  const pools = [];
+  const wallet = walletAddress.toLowerCase();
+  const router = ROUTER_ADDRESS.toLowerCase();
+
+  for (const log of receipt.logs) {
+    const address = log.address.toLowerCase();
+    if (address === WRAPPED_NATIVE_ADDRESS.toLowerCase()) {
+      // The router wraps the XRP a wallet sends and unwraps what it pays out
+      const event = parse(wrappedInterface, log);
+      if (event && event.name === "Deposit" && event.args.dst.toLowerCase() === router) addFlow("XRP", -event.args.wad);
+      if (event && event.name === "Withdrawal" && event.args.src.toLowerCase() === router) addFlow("XRP", event.args.wad);
+      if (event) continue;
+    }
+    const event = parse(pairInterface, log);
+    if (!event) continue;
+    if (event.name === "Transfer") {
+      if (event.args.to.toLowerCase() === wallet) addFlow(address, event.args.value);
+      if (event.args.from.toLowerCase() === wallet) addFlow(address, -event.args.value);
+    } else if (event.name === "Swap") {
+      pools.push({ event: "Swap", pair: log.address, amount0: (event.args.amount0In - event.args.amount0Out).toString(), amount1: (event.args.amount1In - event.args.amount1Out).toString() });
+    } else {
+      pools.push({ event: event.name, pair: log.address, amount0: event.args.amount0.toString(), amount1: event.args.amount1.toString() });
+    }
+  }
+  return { flows, pools };
+}
+
+// Symbol for a flow key; pair addresses become "A/B LP"
+async function assetLabel(key, pools) {
+  if (key === "XRP") return "XRP";
+  const known = Object.keys(TOKENS).find(symbol => TOKENS[symbol].toLowerCase() === key);
+  if (known) return known;
+  if (pools.some(pool => pool.pair.toLowerCase() === key)) {
+    const pair = new ethers.Contract(key, PAIR_ABI, provider);
+    const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+    return `${tokenLabel(token0)}/${tokenLabel(token1)} LP`;
+  }
+  return tokenLabel(key);
+}
+
+// Formats decoded flows as { spent, received }: symbol -> amount (both positive)
+async function formatFlows(flows, pools) {
+  const spent = {};
+  const received = {};
+  for (const [key, amount] of flows) {
+    if (amount === 0n) continue; // Passed through the wallet, e.g. a refund
+    const decimals = key === "XRP" ? 18 : await getTokenDecimals(key);
+    const formatted = ethers.formatUnits(amount < 0n ? -amount : amount, decimals);
+    (amount < 0n ? spent : received)[await assetLabel(key, pools)] = formatted;
+  }
+  return { spent, received };
+}
+
+// What the action realized: { spent, received } by symbol, gas paid in XRP, pool events, and for swaps the effective
+// price (output per input) next to the quoted one and the slippage suffered (positive = worse than quoted)
+async function realizeReceipt(wallet, receipt) {
+  const { flows, pools } = decodeReceiptLogs(receipt, wallet.address);
+  const realized = { ...await formatFlows(flows, pools), gasXrp: ethers.formatEther(receipt.gasUsed * (receipt.gasPrice || 0n)), pools };
+
+  const quote = actionQuotes.get(receipt);
+  if (quote && realized.spent[quote.tokenIn] && realized.received[quote.tokenOut]) {
+    const quotedPrice = parseFloat(quote.amountOut) / parseFloat(quote.amountIn);
+    const effectivePrice = parseFloat(realized.received[quote.tokenOut]) / parseFloat(realized.spent[quote.tokenIn]);
+    realized.quotedPrice = +quotedPrice.toPrecision(8);
+    realized.effectivePrice = +effectivePrice.toPrecision(8);
+    realized.slippagePercent = +((1 - effectivePrice / quotedPrice) * 100).toFixed(4);
+    realized.priceUnit = `${quote.tokenOut}/${quote.tokenIn}`;
+  }
+  return realized;
+}
+
+function logRealized(realized, meta = {}) {
+  const legs = [
+    ...Object.entries(realized.spent).map(([symbol, amount]) => `-${amount} ${symbol}`),
+    ...Object.entries(realized.received).map(([symbol, amount]) => `+${amount} ${symbol}`),
+  ];
+  logger.info(chalk.gray(`  Realized: ${legs.length > 0 ? legs.join(", ") : "no token movements"}, gas ${realized.gasXrp} XRP`), meta);
+  if (realized.slippagePercent !== undefined) {
+    logger.info(chalk.gray(`  Price: ${realized.effectivePrice} ${realized.priceUnit} (quoted ${realized.quotedPrice}, slippage ${realized.slippagePercent}%)`), meta);
+  }
+}
+
+// Adds a realized action to the global totals and the wallet's PnL (net amount per asset, gas counted separately)
+function applyRealized(walletStats, realized) {
+  activityStats.gasPaidXrp = addDecimalStrings(activityStats.gasPaidXrp, realized.gasXrp);
+  walletStats.pnl.gasXrp = addDecimalStrings(walletStats.pnl.gasXrp, realized.gasXrp);
+  for (const [symbol, amount] of Object.entries(realized.received)) {
+    walletStats.pnl.net[symbol] = addDecimalStrings(walletStats.pnl.net[symbol] || "0", amount);
+  }
+  for (const [symbol, amount] of Object.entries(realized.spent)) {
+    walletStats.pnl.net[symbol] = addDecimalStrings(walletStats.pnl.net[symbol] || "0", `-${amount}`);
+  }
+  if (realized.slippagePercent !== undefined) {
+    const slippage = activityStats.slippage;
+    slippage.swaps++;
+    slippage.totalPercent += realized.slippagePercent;
+    slippage.worstPercent = slippage.worstPercent === null ? realized.slippagePercent : Math.max(slippage.worstPercent, realized.slippagePercent);
+  }
+}
+
+// --- Transaction Records ---
+// ManagedSigner opens a record for every transaction it broadcasts, so the legs inside an action (approvals, funding
+// and token transfers, the return transfer of a throwaway wallet) are kept next to the action's main transaction.
+// The action, its ID and the wallet come from the log context, which withRetryFor sets around an action. A record is settled from
+// the receipt once a wait sees it mined; recordTransaction sweeps whatever is still open when the action ends.
+// Settled records are appended to TX_RECORDS_FILE; records still open are kept in the state file until they settle.
+
+const openTxRecords = new Set(); // Records still waiting for a receipt (including open ones loaded from the state file)
+const txRecordCalls = new WeakMap(); // record -> decoded call (ethers TransactionDescription), null for plain transfers
+const TX_RECORD_FIELDS = ["timestamp", "wallet", "from", "action", "actionId", "method", "to", "nonce", "hash", "sentHashes", "status", "blockNumber", "gasUsed", "gasPaidXrp", "amounts", "approved"];
+
+// withRetry as one action of `wallet`: its log lines and transaction records share a new actionId
+async function withRetryFor(wallet, action, func) {
+  return await withLogContext({ walletAddress: wallet.address, action, actionId: crypto.randomUUID() }, () => withRetry(func));
+}
+
+// Names the called function from the ABIs we know; plain value transfers are "transfer"
+function describeCall(request) {
+  if (!request.data || request.data === "0x") return { method: "transfer", call: null };
+  for (const abi of [ROUTER_ABI, ERC20_ABI, ...CUSTOM_CONTRACTS_TO_INTERACT_WITH.map(contract => contract.abi)]) {
+    const call = new ethers.Interface(abi).parseTransaction({ data: request.data, value: request.value || 0n });
+    if (call) return { method: call.name, call };
+  }
+  return { method: request.data.slice(0, 10), call: null };
+}
+
+function openTxRecord(from, request, hash) {
+  const context = actionContext.getStore();
+  const { method, call } = describeCall(request);
+  const record = {
+    timestamp: new Date().toISOString(),
+    wallet: context && context.walletAddress ? context.walletAddress : from, // The bot wallet the transaction was sent for (throwaway wallets report to it)
+    from,
+    action: context && context.action ? context.action : null,
+    actionId: context && context.actionId ? context.actionId : null,
+    method,
+    to: request.to,
+    nonce: Number(request.nonce),
+    hash,
+    sentHashes: [hash],
+    status: "pending",
+    blockNumber: null,
+    gasUsed: null,
+    gasPaidXrp: null,
+    amounts: {}, // Net balance changes of `from`, signed
+    approved: null, // Allowance granted, for approve calls
+    value: request.value ? ethers.formatEther(request.value) : "0",
+  };
+  openTxRecords.add(record);
+  txRecordCalls.set(record, call);
+  return record;
+}
+
+async function settleTxRecord(record, receipt) {
+  if (!openTxRecords.delete(record)) return; // Already settled
+  try {
+    await fillTxRecord(record, receipt);
+  } finally {
+    appendTxRecord(record); // Even if decoding the amounts failed, the record itself is complete
+  }
+}
+
+async function fillTxRecord(record, receipt) {
+  const sentTo = (record.to || "").toLowerCase();
+  const cancelled = receipt.hash !== record.sentHashes[0] && (receipt.to || "").toLowerCase() === record.from.toLowerCase() && sentTo !== record.from.toLowerCase();
+  record.hash = receipt.hash;
+  record.blockNumber = receipt.blockNumber;
+  record.gasUsed = receipt.gasUsed.toString();
+  record.gasPaidXrp = ethers.formatEther(receipt.gasUsed * (receipt.gasPrice || 0n));
+  record.status = receipt.status !== 1 ? "reverted" : (cancelled ? "cancelled" : "success");
+  observeTxLatency(record.action, (Date.now() - Date.parse(record.timestamp)) / 1000);
+  if (record.status !== "success") return;
+
+  const { flows, pools } = decodeReceiptLogs(receipt, record.from);
+  const call = txRecordCalls.get(record);
+  // The router's XRP shows up as WXRP Deposit/Withdrawal; value sent anywhere else leaves no log
+  if (record.value !== "0" && sentTo !== ROUTER_ADDRESS.toLowerCase()) {
+    flows.set("XRP", (flows.get("XRP") || 0n) - ethers.parseEther(record.value));
+  }
+  const { spent, received } = await formatFlows(flows, pools);
+  record.amounts = {
+    ...Object.fromEntries(Object.entries(spent).map(([symbol, amount]) => [symbol, `-${amount}`])),
+    ...Object.fromEntries(Object.entries(received).map(([symbol, amount]) => [symbol, `+${amount}`])),
+  };
+  if (call && call.name === "approve") {
+    const amount = call.args[1];
+    record.approved = `${amount === ethers.MaxUint256 ? "unlimited" : ethers.formatUnits(amount, await getTokenDecimals(record.to))} ${tokenLabel(record.to)}`;
+  }
+}
+
+function appendTxRecord(record) {
+  try {
+    fs.appendFileSync(TX_RECORDS_FILE, JSON.stringify(record) + "\n");
+  } catch (error) {
+    logger.error(chalk.red(`Failed to append transaction record ${record.hash} to ${TX_RECORDS_FILE}: ${error.message}`));
+  }
+}
+
+// Every settled record from TX_RECORDS_FILE, then the ones still open; unreadable lines are skipped with a warning
+function readTxRecords() {
+  const records = [];
+  if (fs.existsSync(TX_RECORDS_FILE)) {
+    fs.readFileSync(TX_RECORDS_FILE, "utf8").split("\n").forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(chalk.yellow(`Skipping line ${index + 1} of ${TX_RECORDS_FILE}: ${error.message}`));
+      }
+    });
+  }
+  return [...records, ...openTxRecords];
+}
+
+// Settles the records whose receipts no wait has picked up, e.g. legs confirmed through tx.wait()
+async function settleOpenTxRecords() {
+  for (const record of [...openTxRecords]) {
+    for (const hash of record.sentHashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        await settleTxRecord(record, receipt);
+        break;
+      }
+    }
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function txRecordsToCsv(records) {
+  const rows = records.map(record => TX_RECORD_FIELDS.map(field => {
+    const value = record[field];
+    if (field === "sentHashes") return csvField(value.join(" "));
+    if (field === "amounts") return csvField(Object.entries(value).map(([symbol, amount]) => `${amount} ${symbol}`).join("; "));
+    return csvField(value);
+  }).join(","));
+  return [TX_RECORD_FIELDS.join(","), ...rows].join("\n") + "\n";
+}
+
+// Parses an --from/--to value; a bare date covers the whole day (UTC)
+function parseExportDate(value, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(time)) throw new Error(`Invalid date "${value}". Use e.g. 2024-05-01 or 2024-05-01T12:00:00Z.`);
+  return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Writes the transaction records matching the filters ({ wallets, actions, from, to } — each optional) as CSV or JSON
+function exportTxRecords(file, format, filters) {
+  const walletSet = filters.wallets && new Set(filters.wallets.map(address => address.toLowerCase()));
+  const actionSet = filters.actions && new Set(filters.actions.map(action => action.toUpperCase()));
+  const allRecords = readTxRecords();
+  const records = allRecords.filter(record => {
+    const time = Date.parse(record.timestamp);
+    if (walletSet && !walletSet.has(record.wallet.toLowerCase()) && !walletSet.has(record.from.toLowerCase())) return false;
+    if (actionSet && !actionSet.has(String(record.action))) return false;
+    if (filters.from !== undefined && time < filters.from) return false;
+    if (filters.to !== undefined && time > filters.to) return false;
+    return true;
+  }).map(record => Object.fromEntries(TX_RECORD_FIELDS.map(field => [field, record[field]])));
+
+  fs.writeFileSync(file, format === "json" ? JSON.stringify(records, null, 2) + "\n" : txRecordsToCsv(records));
+  logger.info(chalk.green(`Exported ${records.length} of ${allRecords.length} transaction record(s) to ${file} (${format.toUpperCase()}).`));
+}
+
 // --- Utility Functions ---
 
 function displayBanner() {
@@ -490,69 +2294,167 @@ async function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function getGasPrice(retryAttempt = 0) {
-    const feeData = await provider.getFeeData();
-    // Significantly increased buffer for highly aggressive gas pricing on testnet
-    let buffer = 5.0 + (retryAttempt * 1.0); // Initial 5x, then 6x, 7x, etc.
+// Calls worker(item) for every item with at most `limit` calls in flight
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
 
-    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-        // Ensure calculations with BigInt are correct
-        const maxPriorityFeePerGas = (feeData.maxPriorityFeePerGas * BigInt(Math.round(buffer * 100))) / BigInt(100);
-        const baseFee = feeData.lastBaseFeePerGas || ethers.parseUnits("1", "gwei"); // Use a default if lastBaseFeePerGas is null
-        const maxFeePerGas = ((baseFee * BigInt(Math.round(buffer * 100))) / BigInt(100)) + maxPriorityFeePerGas;
+const broadcastHashes = new WeakMap(); // receipt or error -> every hash sent for that action's nonce, replacements included
+const confirmationHandlers = new WeakMap(); // tx -> function(receipt) run by withRetry once tx (or its replacement) is mined
+const actionQuotes = new WeakMap(); // tx, then its receipt -> { tokenIn, amountIn, tokenOut, amountOut } the swap was quoted at
+const CONFIRMATION_TIMEOUT_MS = 60000; // How long one wait for a transaction lasts before it is replaced
+const LEG_CONFIRMATION_ATTEMPTS = 3; // Waits for an action's intermediate transaction, replacing it after each but the last
+
+// Waits for `tx` or any replacement sent for its nonce; plain ethers responses just race tx.wait() against the timeout.
+// `signer` is only passed for signers kept out of managedSigners (throwaway wallets).
+async function waitForConfirmation(tx, confirmationTimeoutMs, signer = managedSigners.get(tx.from)) {
+    if (signer && signer.pending.has(tx.nonce)) {
+        return await signer.waitForNonce(tx.nonce, confirmationTimeoutMs);
+    }
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error("Transaction confirmation timed out."), { code: "CONFIRMATION_TIMEOUT" })), confirmationTimeoutMs);
+    });
+    return await Promise.race([tx.wait(), timeout]).finally(() => clearTimeout(timer));
+}
 
-        logger.info(chalk.gray(`  Using EIP-1559 gas (Attempt ${retryAttempt + 1}): Max Priority Fee: ${ethers.formatUnits(maxPriorityFeePerGas, 'gwei')} Gwei, Max Fee: ${ethers.formatUnits(maxFeePerGas, 'gwei')} Gwei`));
-        return { maxFeePerGas, maxPriorityFeePerGas };
-    } else {
-        const gasPrice = (feeData.gasPrice || ethers.parseUnits("20", "gwei")); // Use a default if gasPrice is null
-        const bufferedGasPrice = (gasPrice * BigInt(Math.round(buffer * 100))) / BigInt(100);
-        logger.info(chalk.gray(`  Using legacy gas price (Attempt ${retryAttempt + 1}): ${ethers.formatUnits(bufferedGasPrice, 'gwei')} Gwei`));
-        return { gasPrice: bufferedGasPrice };
+// Confirms a transaction an action sends on the way (funding, transfers, a throwaway wallet's return) the way
+// withRetry confirms the one it returns: a wait that times out replaces the transaction per nonceManager.stuckAction
+// and waits again. A leg that reverts, is cancelled or is still pending after the last wait fails the action.
+async function confirmLeg(tx, label, signer = managedSigners.get(tx.from)) {
+    let cancelHash = null;
+    for (let i = 0; i < LEG_CONFIRMATION_ATTEMPTS; i++) {
+        let receipt;
+        try {
+            receipt = await waitForConfirmation(tx, CONFIRMATION_TIMEOUT_MS, signer);
+        } catch (error) {
+            if (error.code !== "CONFIRMATION_TIMEOUT") throw error;
+            if (i === LEG_CONFIRMATION_ATTEMPTS - 1) {
+                throw Object.assign(new Error(`${label} ${tx.hash} was not confirmed after ${LEG_CONFIRMATION_ATTEMPTS} waits of ${CONFIRMATION_TIMEOUT_MS / 1000}s.`), { code: "LEG_NOT_CONFIRMED" });
+            }
+            logger.warn(chalk.yellow(`  ${label} not confirmed after ${CONFIRMATION_TIMEOUT_MS / 1000}s: ${txUrl(tx.hash)}`), { txHash: tx.hash });
+            cancelHash = await replacePendingTransaction(tx, cancelHash, signer);
+            continue;
+        }
+        if (receipt.hash === cancelHash) throw new Error(`${label} was cancelled: ${receipt.hash}`);
+        if (receipt.status !== 1) throw new Error(`${label} failed on-chain (status 0): ${receipt.hash}`);
+        logger.info(chalk.green(`✔ ${label} confirmed: ${txUrl(receipt.hash)}`));
+        return receipt;
     }
 }
 
-async function withRetry(func, maxRetries = 3, initialDelayMs = 1000, confirmationTimeoutMs = 60000) {
+async function withRetry(func, maxRetries = 3, initialDelayMs = 1000, confirmationTimeoutMs = CONFIRMATION_TIMEOUT_MS) {
+    let tx = null; // Transaction of this action that may still be pending; a timeout replaces it instead of calling func again
+    let hashes = []; // Everything broadcast for tx's nonce
+    const earlierHashes = []; // Transactions of earlier attempts that were mined but reverted or cancelled
+    let cancelHash = null; // Set when the pending transaction was replaced by a zero-value self-transfer
+    const context = actionContext.getStore();
+    const outerAttempt = context ? context.attempt : undefined; // An approval's withRetry runs inside the action's
+    try {
     for (let i = 0; i < maxRetries; i++) {
-        let tx = null; // Initialize tx to null
+        if (context) context.attempt = i + 1;
         try {
-            const gasOptions = await getGasPrice(i);
-            tx = await func(gasOptions); // Assign the result of func(gasOptions) to tx
+            if (!tx) {
+                const gasOptions = await getGasPrice(i);
+                dryRunStepsInAction = 0;
+                tx = await func(gasOptions); // Assign the result of func(gasOptions) to tx
+
+                if (!tx || typeof tx.hash === 'undefined') { // Check if tx is truly a transaction object with a hash
+                    // This means the function called `func` did not return a valid transaction object.
+                    // This usually implies an error occurred *before* the transaction was sent to the network.
+                    throw new Error("Function did not return a valid transaction object.");
+                }
 
-            if (!tx || typeof tx.hash === 'undefined') { // Check if tx is truly a transaction object with a hash
-                // This means the function called `func` did not return a valid transaction object.
-                // This usually implies an error occurred *before* the transaction was sent to the network.
-                throw new Error("Function did not return a valid transaction object.");
+                if (simulatedReceipts.has(tx.hash)) {
+                    logger.info(chalk.yellow(`[dry-run] Final transaction simulated: ${txUrl(tx.hash)}`));
+                } else {
+                    logger.info(chalk.cyan(`Transaction sent: ${txUrl(tx.hash)}`), { txHash: tx.hash });
+                    activityStats.totalTransactions++;
+                }
+                const signer = managedSigners.get(tx.from);
+                earlierHashes.push(...hashes);
+                hashes = signer && signer.pending.has(tx.nonce) ? signer.pending.get(tx.nonce).hashes : [tx.hash];
+                cancelHash = null;
             }
 
-            logger.info(chalk.cyan(`Transaction sent: ${EXPLORER_TX_URL}${tx.hash}`));
-            activityStats.totalTransactions++;
-
-            const receipt = await Promise.race([
-                tx.wait(),
-                new Promise((resolve, reject) => setTimeout(() => reject(new Error("Transaction confirmation timed out.")), confirmationTimeoutMs))
-            ]);
+            const receipt = await waitForConfirmation(tx, confirmationTimeoutMs);
+            if (hashes.length + earlierHashes.length > 1) broadcastHashes.set(receipt, [...earlierHashes, ...hashes]);
+            if (hashes.length > 1) {
+                const which = receipt.hash === tx.hash ? "Original transaction" : (receipt.hash === cancelHash ? "Cancellation" : "Replacement");
+                logger.info(chalk.gray(`  ${which} mined for nonce ${tx.nonce}: ${txUrl(receipt.hash)} (sent: ${hashes.join(", ")})`));
+            }
 
-            if (receipt && receipt.status === 1) {
-                logger.info(chalk.green(`✔ Transaction confirmed: Block ${receipt.blockNumber}`));
+            if (receipt.hash === cancelHash) {
+                tx = null; // The action itself never ran, so the next attempt sends it again
+                throw new Error(`Pending transaction was cancelled: ${receipt.hash}`);
+            } else if (receipt && receipt.status === 1) {
+                const simulated = simulatedReceipts.get(receipt.hash);
+                if (simulated && simulated.verified) logger.info(chalk.yellow(`✔ Simulation passed (nothing was sent)`));
+                else if (simulated) logger.info(chalk.yellow(`Simulation finished, but the last step could not be verified (nothing was sent)`));
+                else logger.info(chalk.green(`✔ Transaction confirmed: Block ${receipt.blockNumber}`), { txHash: receipt.hash });
+                if (actionQuotes.has(tx)) actionQuotes.set(receipt, actionQuotes.get(tx));
+                if (!simulated && confirmationHandlers.has(tx)) {
+                    try {
+                        await confirmationHandlers.get(tx)(receipt);
+                    } catch (error) {
+                        logger.warn(chalk.yellow(`  Could not read the results of ${receipt.hash}: ${error.message}`)); // The action itself succeeded
+                    }
+                }
                 return receipt;
             } else if (receipt && receipt.status === 0) {
-                throw new Error(`Transaction failed on-chain (status 0): ${tx.hash}`);
+                tx = null;
+                throw new Error(`Transaction failed on-chain (status 0): ${receipt.hash}`);
             } else {
                 throw new Error(`Transaction did not confirm or timed out: ${tx.hash}`);
             }
         } catch (error) {
             const txHashInfo = tx && tx.hash ? ` (Tx: ${tx.hash})` : '';
-            logger.warn(chalk.yellow(`Attempt ${i + 1}/${maxRetries} failed${txHashInfo}. Error: ${error.message}`));
-            if (i < maxRetries - 1) {
+            logger.warn(chalk.yellow(`Attempt ${i + 1}/${maxRetries} failed${txHashInfo}. Error: ${error.message}`), { txHash: tx && tx.hash ? tx.hash : undefined, errorCode: error.code });
+            if (hashes.length > 0) broadcastHashes.set(error, [...earlierHashes, ...hashes]);
+            // Retrying only raises the fees, so a budget refusal or a simulated revert is final; so is a stuck leg, whose
+            // nonce would hold up everything a new attempt sends
+            if (i < maxRetries - 1 && !["GAS_BUDGET_EXCEEDED", "SIMULATION_REVERTED", "LEG_NOT_CONFIRMED"].includes(error.code)) {
+                countRetry(context);
                 await delay(initialDelayMs * (i + 1));
+                if (tx) cancelHash = await replacePendingTransaction(tx, cancelHash);
+                const signer = tx && managedSigners.get(tx.from);
+                if (!signer || !signer.pending.has(tx.nonce)) tx = null; // Nothing left pending: next attempt starts over
             } else {
                 throw error; // Re-throw after all retries exhausted
             }
         }
     }
+    } finally {
+        if (context) context.attempt = outerAttempt;
+    }
     return null; // Should ideally not be reached if an error is always thrown on failure
 }
 
+// Replaces `tx` if it is still pending, using the same nonce and bumped fees so only one of the versions can be mined.
+// Returns the hash of the cancellation if one was sent (or the previous one), otherwise null.
+async function replacePendingTransaction(tx, cancelHash, signer = managedSigners.get(tx.from)) {
+    if (!signer || !signer.pending.has(tx.nonce)) return cancelHash;
+    if (cancelHash) return cancelHash; // Already cancelled; keep waiting for the cancellation
+    const { stuckAction, replacementFeeBumpPercent } = NONCE_MANAGER_CONFIG;
+    try {
+        const replacement = await signer.replaceTransaction(tx.nonce, stuckAction, replacementFeeBumpPercent);
+        activityStats.totalTransactions++;
+        logger.info(chalk.cyan(`Sent ${stuckAction} replacement for nonce ${tx.nonce}: ${txUrl(replacement.hash)}`), { txHash: replacement.hash });
+        return stuckAction === "cancel" ? replacement.hash : null;
+    } catch (error) {
+        // Usually the original got mined in the meantime; the next wait picks up its receipt
+        logger.warn(chalk.yellow(`Could not replace nonce ${tx.nonce}: ${error.shortMessage || error.message}`));
+        return cancelHash;
+    }
+}
+
 async function getWalletTokenBalance(wallet, tokenSymbol) {
     if (tokenSymbol === "XRP") {
         const balance = await provider.getBalance(wallet.address);
@@ -598,6 +2500,7 @@ async function getWalletBalances(wallet) {
             balances[tokenSymbol] = "0"; // Set to "0" if balance fetch fails
         }
     }
+    walletBalanceCache.set(wallet.address, { balances, updatedAt: Date.now() });
     return balances;
 }
 
@@ -613,6 +2516,101 @@ async function displayAllWalletBalances() {
     logger.info(chalk.cyan("-------------------------------"));
 }
 
+async function getFactoryContract() {
+    if (!FACTORY_ADDRESS) { // Not set in the network profile, so ask the router once
+        const providerRouter = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, provider);
+        FACTORY_ADDRESS = await providerRouter.factory();
+    }
+    return new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
+}
+
+// Looks up the pair for two tokens and reads its reserves (keyed by lowercased token address) and LP total supply.
+// Returns null if the factory has no pair for these tokens.
+async function getPairInfo(tokenA, tokenB) {
+    const factory = await getFactoryContract();
+    const pairAddress = await factory.getPair(tokenA, tokenB);
+    if (pairAddress === ethers.ZeroAddress) return null;
+
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+    const [token0, token1, [reserve0, reserve1], totalSupply] = await Promise.all([
+        pair.token0(),
+        pair.token1(),
+        pair.getReserves(),
+        pair.totalSupply(),
+    ]);
+
+    return {
+        address: pairAddress,
+        token0,
+        token1,
+        reserves: { [token0.toLowerCase()]: reserve0, [token1.toLowerCase()]: reserve1 },
+        totalSupply,
+    };
+}
+
+// Candidate paths from tokenIn to tokenOut: the direct pair, or one hop through the wrapped native token or another
+// configured token (e.g. RISE → WXRP → RIBBIT). Only paths where every hop has a funded pair in the factory are kept.
+async function getCandidateRoutes(tokenIn, tokenOut) {
+    const intermediates = [...new Set([WRAPPED_NATIVE_ADDRESS, ...Object.values(TOKENS)])]
+        .filter(address => address !== tokenIn && address !== tokenOut);
+    const paths = [[tokenIn, tokenOut], ...intermediates.map(middle => [tokenIn, middle, tokenOut])];
+
+    const pairs = new Map(); // Each pair is looked up once even if several paths use it
+    const routes = [];
+    for (const path of paths) {
+        const hops = [];
+        for (let i = 0; i < path.length - 1; i++) {
+            const key = [path[i], path[i + 1]].map(address => address.toLowerCase()).sort().join("/");
+            if (!pairs.has(key)) pairs.set(key, await getPairInfo(path[i], path[i + 1]));
+            hops.push(pairs.get(key));
+        }
+        const funded = hops.every(hop => hop && Object.values(hop.reserves).every(reserve => reserve > 0n));
+        if (funded) routes.push({ path, hops });
+    }
+    return routes;
+}
+
+// Quotes every candidate route with getAmountsOut and returns them best first. getAmountsOut already charges the
+// pool fees and the price impact of this trade size, so the largest output is the best route. priceImpactPercent
+// compares the quote with what the same path would give at the pools' mid prices.
+// With exactOutput, amountRaw is the wanted output instead: routes are quoted with getAmountsIn and the one
+// needing the smallest input comes first.
+async function findBestRoutes(amountRaw, tokenIn, tokenOut, exactOutput = false) {
+    const routes = await getCandidateRoutes(tokenIn, tokenOut);
+    if (routes.length === 0) {
+        throw new Error(`No route from ${tokenLabel(tokenIn)} to ${tokenLabel(tokenOut)} through the factory's pairs.`);
+    }
+
+    const providerRouter = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, provider);
+    const quoted = [];
+    for (const route of routes) {
+        try {
+            let amountIn, amountOut, midPriceOut;
+            if (exactOutput) {
+                const amounts = await providerRouter.getAmountsIn(amountRaw, route.path);
+                [amountIn, amountOut] = [amounts[0], amountRaw];
+            } else {
+                const amounts = await providerRouter.getAmountsOut(amountRaw, route.path);
+                [amountIn, amountOut] = [amountRaw, amounts[amounts.length - 1]];
+            }
+            midPriceOut = amountIn;
+            route.hops.forEach((hop, i) => {
+                midPriceOut = (midPriceOut * hop.reserves[route.path[i + 1].toLowerCase()]) / hop.reserves[route.path[i].toLowerCase()];
+            });
+            const priceImpactPercent = midPriceOut > 0n ? Number(((midPriceOut - amountOut) * 1000000n) / midPriceOut) / 10000 : 0;
+            quoted.push({ ...route, amountIn, amountOut, priceImpactPercent });
+        } catch (error) {
+            logger.warn(chalk.yellow(`  Could not quote path ${route.path.map(tokenLabel).join(" → ")}: ${error.shortMessage || error.message}`));
+        }
+    }
+    if (quoted.length === 0) {
+        throw new Error(`None of the ${routes.length} route(s) from ${tokenLabel(tokenIn)} to ${tokenLabel(tokenOut)} could be quoted.`);
+    }
+    return exactOutput
+        ? quoted.sort((a, b) => (a.amountIn > b.amountIn ? 1 : a.amountIn < b.amountIn ? -1 : 0))
+        : quoted.sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0));
+}
+
 // --- Core Interaction Functions ---
 
 async function performSwap(wallet, pair, amount, direction, gasOptions) {
@@ -628,24 +2626,23 @@ async function performSwap(wallet, pair, amount, direction, gasOptions) {
   }
 
   const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
-  const providerRouter = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, provider);
 
   // Determine actual contract addresses for the path
   // If native XRP is involved, it needs to be WXRP for Uniswap V2
-  const inTokenAddress = inTokSymbol === "XRP" ? TOKENS.WXRP : TOKENS[inTokSymbol];
-  const outTokenAddress = outTokSymbol === "XRP" ? TOKENS.WXRP : TOKENS[outTokSymbol];
+  const inTokenAddress = inTokSymbol === "XRP" ? WRAPPED_NATIVE_ADDRESS : TOKENS[inTokSymbol];
+  const outTokenAddress = outTokSymbol === "XRP" ? WRAPPED_NATIVE_ADDRESS : TOKENS[outTokSymbol];
 
-  const path = [inTokenAddress, outTokenAddress];
-
-  // Validate that token addresses in the path are not undefined
-  if (!path[0] || !path[1]) {
+  // Validate that the token addresses are not undefined
+  if (!inTokenAddress || !outTokenAddress) {
       throw new Error(`Invalid token address in swap path. Check TOKENS map for ${inTokSymbol} and ${outTokSymbol}.`);
   }
+  if (inTokenAddress === outTokenAddress) {
+      throw new Error(`${inTokSymbol} → ${outTokSymbol} would only wrap or unwrap the native token; there is no pool to swap through.`);
+  }
 
   const deadline = Math.floor(Date.now() / 1e3) + 600; // 10 minutes from now
 
   let amountInRaw;
-  let amountOutMin = BigInt(0); // Initialize as BigInt
   let inTokenDecimals;
 
   // Determine decimals and parse amountInRaw
@@ -658,25 +2655,37 @@ async function performSwap(wallet, pair, amount, direction, gasOptions) {
     amountInRaw = ethers.parseUnits(amount, inTokenDecimals);
   }
 
-  // Ensure amountInRaw is positive before calling getAmountsOut
+  // Ensure amountInRaw is positive before quoting
   if (amountInRaw <= BigInt(0)) {
       throw new Error(`Swap amount for ${inTokSymbol} must be positive.`);
   }
 
-  try {
-    const amounts = await providerRouter.getAmountsOut(amountInRaw, path);
-    const expectedAmountOutRaw = amounts[1];
-    const SLIPPAGE_TOLERANCE_DENOMINATOR = BigInt(Math.round(SLIPPAGE_TOLERANCE_PERCENT * 100)); // e.g., 0.5% becomes 50
-    amountOutMin = (expectedAmountOutRaw * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
-
-    const outTokenDecimals = outTokSymbol === "XRP" ? 18 : await (new ethers.Contract(TOKENS[outTokSymbol], ERC20_ABI, provider)).decimals();
-    logger.info(chalk.gray(`  Expected output: ${ethers.formatUnits(expectedAmountOutRaw, outTokenDecimals)} ${outTokSymbol}`));
-    logger.info(chalk.gray(`  Min output (${SLIPPAGE_TOLERANCE_PERCENT}% slippage): ${ethers.formatUnits(amountOutMin, outTokenDecimals)} ${outTokSymbol}`));
-
-  } catch (err) {
-    logger.error(chalk.red(`  Failed to estimate swap output for slippage: ${err.message}. Proceeding with 0 min output.`));
-    amountOutMin = BigInt(0); // If estimation fails, proceed with 0 min output, but this makes swaps risky.
+  // Pick the path with the best output among the direct pair and one-hop routes
+  const routes = await findBestRoutes(amountInRaw, inTokenAddress, outTokenAddress);
+  const outTokenDecimals = outTokSymbol === "XRP" ? 18 : await (new ethers.Contract(TOKENS[outTokSymbol], ERC20_ABI, provider)).decimals();
+  const routeLabel = (route) => [inTokSymbol, ...route.path.slice(1, -1).map(tokenLabel), outTokSymbol].join(" → ");
+  if (routes.length > 1) {
+    for (const route of routes) {
+      logger.info(chalk.gray(`  Route ${routeLabel(route)}: ${ethers.formatUnits(route.amountOut, outTokenDecimals)} ${outTokSymbol} (price impact ${route.priceImpactPercent}%)`));
+    }
+  }
+  const bestRoute = routes[0];
+  const path = bestRoute.path;
+
+  // getAmountsOut doesn't know about transfer fees, so taxed tokens lower the expected output and need the supporting variants
+  for (const address of path) await detectTransferFee(wallet, address);
+  const feeTokens = path.filter(isFeeOnTransfer);
+  const expectedOut = afterTransferFees(bestRoute.amountOut, path);
+  const SLIPPAGE_TOLERANCE_DENOMINATOR = BigInt(Math.round(SLIPPAGE_TOLERANCE_PERCENT * 100)); // e.g., 0.5% becomes 50
+  const amountOutMin = (expectedOut * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+
+  logger.info(chalk.gray(`  Chosen path: ${routeLabel(bestRoute)} (price impact ${bestRoute.priceImpactPercent}%)`));
+  if (feeTokens.length > 0) {
+    logger.info(chalk.gray(`  Fee-on-transfer token(s) in path: ${feeTokens.map(address => `${tokenLabel(address)} (${tokenTransferFees[address.toLowerCase()].feePercent}%)`).join(", ")}, using the supporting swap variant`));
   }
+  logger.info(chalk.gray(`  Expected output: ${ethers.formatUnits(expectedOut, outTokenDecimals)} ${outTokSymbol}`));
+  logger.info(chalk.gray(`  Min output (${SLIPPAGE_TOLERANCE_PERCENT}% slippage): ${ethers.formatUnits(amountOutMin, outTokenDecimals)} ${outTokSymbol}`));
+  const quote = { tokenIn: inTokSymbol, amountIn: amount, tokenOut: outTokSymbol, amountOut: ethers.formatUnits(expectedOut, outTokenDecimals) };
 
   if (inTokSymbol === "XRP") {
     // If swapping native XRP, it actually calls swapExactETHForTokens
@@ -686,26 +2695,95 @@ async function performSwap(wallet, pair, amount, direction, gasOptions) {
         logger.warn(chalk.yellow(`Swap skipped for ${wallet.address}: Insufficient XRP for transaction value + gas. Needed est. ${parseFloat(amount) + estimatedGasCost}, have ${currentXRPBalance}.`));
         throw new Error("Insufficient XRP for value + gas.");
     }
-    return await router.swapExactETHForTokens(amountOutMin, path, wallet.address, deadline, { value: amountInRaw, gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions });
+    const swapETHFn = feeTokens.length > 0 ? router.swapExactETHForTokensSupportingFeeOnTransferTokens : router.swapExactETHForTokens;
+    return quoteAction(await swapETHFn(amountOutMin, path, wallet.address, deadline, { value: amountInRaw, gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }), quote);
   } else {
     // For ERC20 token swaps
-    const tokenC = new ethers.Contract(TOKENS[inTokSymbol], ERC20_ABI, wallet);
-
-    const currentAllowance = await tokenC.allowance(wallet.address, ROUTER_ADDRESS);
-    if (currentAllowance < amountInRaw) {
-        logger.info(chalk.blue(`Approving router for ${amount} ${inTokSymbol}...`));
-        const approvalTx = await tokenC.approve(ROUTER_ADDRESS, amountInRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
-        await approvalTx.wait(); // Wait for approval to confirm before proceeding
-        logger.info(chalk.green(`✔ Approval confirmed: ${EXPLORER_TX_URL}${approvalTx.hash}`));
-    } else {
-       logger.info(chalk.gray(`Already approved enough ${inTokSymbol} for router.`));
-    }
+    await ensureAllowance(wallet, TOKENS[inTokSymbol], inTokSymbol, amountInRaw);
 
     const swapFn = outTokSymbol === "XRP"
-      ? () => router.swapExactTokensForETH(amountInRaw, amountOutMin, path, wallet.address, deadline, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions })
-      : () => router.swapExactTokensForTokens(amountInRaw, amountOutMin, path, wallet.address, deadline, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions });
+      ? (feeTokens.length > 0 ? router.swapExactTokensForETHSupportingFeeOnTransferTokens : router.swapExactTokensForETH)
+      : (feeTokens.length > 0 ? router.swapExactTokensForTokensSupportingFeeOnTransferTokens : router.swapExactTokensForTokens);
+
+    return quoteAction(await swapFn(amountInRaw, amountOutMin, path, wallet.address, deadline, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }), quote);
+  }
+}
+
+// Exact-output swap: buys exactly amountOut of outTokSymbol, paying at most the quoted input plus the slippage
+// tolerance (amountInMax). Used by the rebalancer to top a balance up to its threshold and by "swap --exact-out".
+async function performExactOutputSwap(wallet, pair, amountOut, gasOptions) {
+  const [inTokSymbol, outTokSymbol] = pair;
+
+  logger.info(chalk.blue(`SWAP (exact output): ${inTokSymbol} → ${amountOut} ${outTokSymbol}`));
+
+  const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
+
+  const inTokenAddress = inTokSymbol === "XRP" ? WRAPPED_NATIVE_ADDRESS : TOKENS[inTokSymbol];
+  const outTokenAddress = outTokSymbol === "XRP" ? WRAPPED_NATIVE_ADDRESS : TOKENS[outTokSymbol];
+  if (!inTokenAddress || !outTokenAddress) {
+      throw new Error(`Invalid token address in swap path. Check TOKENS map for ${inTokSymbol} and ${outTokSymbol}.`);
+  }
+  if (inTokenAddress === outTokenAddress) {
+      throw new Error(`${inTokSymbol} → ${outTokSymbol} would only wrap or unwrap the native token; there is no pool to swap through.`);
+  }
+
+  const deadline = Math.floor(Date.now() / 1e3) + 600; // 10 minutes from now
+
+  const inTokenDecimals = inTokSymbol === "XRP" ? 18 : await (new ethers.Contract(TOKENS[inTokSymbol], ERC20_ABI, provider)).decimals();
+  const outTokenDecimals = outTokSymbol === "XRP" ? 18 : await (new ethers.Contract(TOKENS[outTokSymbol], ERC20_ABI, provider)).decimals();
+  const amountOutRaw = ethers.parseUnits(amountOut, outTokenDecimals);
+  if (amountOutRaw <= BigInt(0)) {
+      throw new Error(`Swap output amount for ${outTokSymbol} must be positive.`);
+  }
+
+  // Pick the path that needs the least input for this output
+  const routes = await findBestRoutes(amountOutRaw, inTokenAddress, outTokenAddress, true);
+  const routeLabel = (route) => [inTokSymbol, ...route.path.slice(1, -1).map(tokenLabel), outTokSymbol].join(" → ");
+  if (routes.length > 1) {
+    for (const route of routes) {
+      logger.info(chalk.gray(`  Route ${routeLabel(route)}: ${ethers.formatUnits(route.amountIn, inTokenDecimals)} ${inTokSymbol} in (price impact ${route.priceImpactPercent}%)`));
+    }
+  }
+  const bestRoute = routes[0];
+  const path = bestRoute.path;
+
+  // The router has no exact-output variants for taxed tokens: sell enough input to cover the fees instead
+  for (const address of path) await detectTransferFee(wallet, address);
+  if (path.some(isFeeOnTransfer)) {
+    const keptOfQuote = afterTransferFees(BigInt(10000), path);
+    const grossAmountIn = ethers.formatUnits((bestRoute.amountIn * BigInt(10000)) / keptOfQuote, inTokenDecimals);
+    logger.info(chalk.gray(`  Path ${routeLabel(bestRoute)} has fee-on-transfer tokens; swapping ${grossAmountIn} ${inTokSymbol} in instead`));
+    return await performSwap(wallet, [inTokSymbol, outTokSymbol], grossAmountIn, "AtoB", gasOptions);
+  }
+
+  const SLIPPAGE_TOLERANCE_DENOMINATOR = BigInt(Math.round(SLIPPAGE_TOLERANCE_PERCENT * 100)); // e.g., 0.5% becomes 50
+  const amountInMax = (bestRoute.amountIn * (BigInt(10000) + SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+  const amountInMaxFormatted = ethers.formatUnits(amountInMax, inTokenDecimals);
 
-    return await swapFn(); // Return the transaction object
+  logger.info(chalk.gray(`  Chosen path: ${routeLabel(bestRoute)} (price impact ${bestRoute.priceImpactPercent}%)`));
+  logger.info(chalk.gray(`  Expected input: ${ethers.formatUnits(bestRoute.amountIn, inTokenDecimals)} ${inTokSymbol}`));
+  logger.info(chalk.gray(`  Max input (${SLIPPAGE_TOLERANCE_PERCENT}% slippage): ${amountInMaxFormatted} ${inTokSymbol}`));
+  const quote = { tokenIn: inTokSymbol, amountIn: ethers.formatUnits(bestRoute.amountIn, inTokenDecimals), tokenOut: outTokSymbol, amountOut: ethers.formatUnits(amountOutRaw, outTokenDecimals) };
+
+  const currentInTokBalance = parseFloat(await getWalletTokenBalance(wallet, inTokSymbol));
+  if (parseFloat(amountInMaxFormatted) > currentInTokBalance) {
+    logger.warn(chalk.yellow(`Swap skipped for ${wallet.address}: Insufficient ${inTokSymbol} balance. Needed up to ${amountInMaxFormatted}, have ${currentInTokBalance}.`));
+    throw new Error(`Insufficient ${inTokSymbol} balance.`);
+  }
+
+  if (inTokSymbol === "XRP") {
+    // swapETHForExactTokens refunds whatever part of the sent value was not needed
+    const estimatedGasCost = parseFloat(ethers.formatUnits(gasOptions.maxFeePerGas ? gasOptions.maxFeePerGas * BigInt(GAS_LIMIT_COMPLEX) : gasOptions.gasPrice * BigInt(GAS_LIMIT_COMPLEX), 'ether'));
+    if (parseFloat(amountInMaxFormatted) + estimatedGasCost > currentInTokBalance) {
+        logger.warn(chalk.yellow(`Swap skipped for ${wallet.address}: Insufficient XRP for transaction value + gas. Needed est. ${parseFloat(amountInMaxFormatted) + estimatedGasCost}, have ${currentInTokBalance}.`));
+        throw new Error("Insufficient XRP for value + gas.");
+    }
+    return quoteAction(await router.swapETHForExactTokens(amountOutRaw, path, wallet.address, deadline, { value: amountInMax, gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }), quote);
+  } else {
+    await ensureAllowance(wallet, TOKENS[inTokSymbol], inTokSymbol, amountInMax);
+
+    const swapFn = outTokSymbol === "XRP" ? router.swapTokensForExactETH : router.swapTokensForExactTokens;
+    return quoteAction(await swapFn(amountOutRaw, amountInMax, path, wallet.address, deadline, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }), quote);
   }
 }
 
@@ -730,9 +2808,10 @@ async function performSendAndReceive(wallet, cfg, gasOptions) {
   let lastTx = null; // To store the last transaction for return
 
   for (let i = 0; i < cfg.sendAddressCount; i++) {
-    const newWallet = ethers.Wallet.createRandom().connect(provider);
+    const newWallet = new ManagedSigner(ethers.Wallet.createRandom().connect(provider), { gasBudget: false, register: false });
     const newAddress = newWallet.address;
 
+    // Funding and token send are independent, so both go out back to back (consecutive nonces) and confirm together
     logger.info(chalk.gray(`  Funding new address ${newAddress} with 0.001 XRP...`));
     const fundTx = await wallet.sendTransaction({
         to: newAddress,
@@ -740,22 +2819,23 @@ async function performSendAndReceive(wallet, cfg, gasOptions) {
         gasLimit: GAS_LIMIT_XRP,
         ...gasOptions
       });
-    await fundTx.wait(); // Wait for funding to confirm
-    logger.info(chalk.green(`✔ Funding confirmed: ${EXPLORER_TX_URL}${fundTx.hash}`));
-
 
     logger.info(chalk.gray(`  Sending ${cfg.sendAmount} ${cfg.sendTokenName} to ${newAddress}...`));
     const sendTx = await tokenC.transfer(newAddress, sendAmountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
-    await sendTx.wait(); // Wait for send to confirm
-    logger.info(chalk.green(`✔ Send confirmed: ${EXPLORER_TX_URL}${sendTx.hash}`));
 
+    await Promise.all([confirmLeg(fundTx, "Funding"), confirmLeg(sendTx, "Send")]); // The return leg needs both
+
+    // The new address holds nothing else, so its balance is exactly what arrived; that is what goes back
+    let returnAmountRaw = sendAmountRaw;
+    if (!DRY_RUN) {
+      returnAmountRaw = await tokenC.balanceOf(newAddress);
+      recordTransferOutcome(tokenAddress, sendAmountRaw, returnAmountRaw, "a transfer");
+    }
 
     logger.info(chalk.gray(`  Sending back token from ${newAddress} to main wallet...`));
-    const newWalletSigner = new ethers.Wallet(newWallet.privateKey, provider);
-    const newTokenC = new ethers.Contract(tokenAddress, ERC20_ABI, newWalletSigner);
-    lastTx = await newTokenC.transfer(wallet.address, sendAmountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
-    await lastTx.wait(); // Wait for return to confirm
-    logger.info(chalk.green(`✔ Return confirmed: ${EXPLORER_TX_URL}${lastTx.hash}`));
+    const newTokenC = new ethers.Contract(tokenAddress, ERC20_ABI, newWallet);
+    lastTx = await newTokenC.transfer(wallet.address, returnAmountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
+    await confirmLeg(lastTx, "Return", newWallet); // The throwaway wallet is not in managedSigners
   }
   return lastTx; // Return the last transaction object
 }
@@ -778,89 +2858,243 @@ async function performRandomSend(wallet, cfg, gasOptions) {
   const decimals = await tokenC.decimals();
   const sendAmountRaw = ethers.parseUnits(cfg.sendAmount, decimals);
 
-  let lastTx = null; // To store the last transaction for return
+  // The transfers don't depend on each other: send them all (the signer assigns consecutive nonces), then confirm
+  const transferTxs = [];
+  const recipients = [];
+  for (let i = 0; i < cfg.sendAddressCount; i++) {
+    const randomWallet = ethers.Wallet.createRandom(); // Create a random address, not a full wallet
+    logger.info(chalk.gray(`  Sending ${cfg.sendAmount} ${cfg.sendTokenName} to ${randomWallet.address}...`));
+    transferTxs.push(await tokenC.transfer(randomWallet.address, sendAmountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions }));
+    recipients.push(randomWallet.address);
+  }
+  const lastTx = transferTxs[transferTxs.length - 1];
+  // The last one is confirmed by withRetry; the earlier ones must not fail silently
+  await Promise.all(transferTxs.slice(0, -1).map(tx => confirmLeg(tx, "Transfer")));
+  // A fresh address only holds what arrived, which shows whether the token takes a fee on transfers. The last
+  // recipient's balance is read once withRetry has confirmed the last transfer (not run for simulated ones).
+  const lastRecipient = recipients[recipients.length - 1];
+  confirmationHandlers.set(lastTx, async () => {
+    recordTransferOutcome(tokenAddress, sendAmountRaw, await tokenC.balanceOf(lastRecipient), "a transfer");
+  });
+  return lastTx; // Return the last transaction object
+}
+
+// Liquidity actions take one configured pair ({ tokenA, tokenB, amountA, amountB }). Pairs with XRP go through
+// the router's *ETH functions, token/token pairs through addLiquidity and removeLiquidity.
+async function performAddLiquidity(wallet, pair, gasOptions) {
+  if (pair.tokenA === "XRP" || pair.tokenB === "XRP") {
+    const [lpTokenName, lpBaseAmount, lpTokenAmount] = pair.tokenA === "XRP"
+      ? [pair.tokenB, pair.amountA, pair.amountB]
+      : [pair.tokenA, pair.amountB, pair.amountA];
+    return await performAddLiquidityETH(wallet, { lpTokenName, lpBaseAmount, lpTokenAmount }, gasOptions);
+  }
+  return await performAddTokenLiquidity(wallet, pair, gasOptions);
+}
+
+async function performRemoveLiquidity(wallet, pair, gasOptions) {
+  if (pair.tokenA === "XRP" || pair.tokenB === "XRP") {
+    const lpTokenName = pair.tokenA === "XRP" ? pair.tokenB : pair.tokenA;
+    return await performRemoveLiquidityETH(wallet, { lpTokenName, removeAmountPercentage: pair.removeAmountPercentage }, gasOptions);
+  }
+  return await performRemoveTokenLiquidity(wallet, pair, gasOptions);
+}
+
+// Sizes a deposit like the router does: one side is kept whole and the other is quote()d from the reserves so the
+// deposit matches the pool ratio, then both get slippage minimums. A pool that doesn't exist yet (or is empty)
+// takes both desired amounts as they are, and that first deposit sets its price.
+async function sizeLiquidityDeposit(addressA, addressB, amountADesired, amountBDesired) {
+  const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, provider);
+  const pairInfo = await getPairInfo(addressA, addressB);
+  const reserveA = pairInfo ? pairInfo.reserves[addressA.toLowerCase()] : 0n;
+  const reserveB = pairInfo ? pairInfo.reserves[addressB.toLowerCase()] : 0n;
+  const newPool = reserveA === 0n || reserveB === 0n;
+
+  let amountA = amountADesired;
+  let amountB = amountBDesired;
+  if (!newPool) {
+    amountB = await router.quote(amountADesired, reserveA, reserveB);
+    if (amountB > amountBDesired) {
+      amountA = await router.quote(amountBDesired, reserveB, reserveA);
+      amountB = amountBDesired;
+    }
+  }
+  const SLIPPAGE_TOLERANCE_DENOMINATOR = BigInt(Math.round(SLIPPAGE_TOLERANCE_PERCENT * 100)); // e.g., 0.5% becomes 50
+  const amountAMin = (amountA * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+  const amountBMin = (amountB * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+  return { pairInfo, newPool, reserveA, reserveB, amountA, amountB, amountAMin, amountBMin };
+}
+
+function logLiquidityDeposit(deposit, symbolA, symbolB, decimalsA, decimalsB) {
+  const format = (amount, decimals, symbol) => `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+  if (deposit.newPool) {
+    const price = Number(ethers.formatUnits(deposit.amountA, decimalsA)) / Number(ethers.formatUnits(deposit.amountB, decimalsB));
+    logger.info(chalk.yellow(`  No funded ${symbolA}/${symbolB} pool yet: this deposit creates it at 1 ${symbolB} = ${price} ${symbolA}`));
+  } else {
+    logger.info(chalk.gray(`  Pair: ${deposit.pairInfo.address} | Reserves: ${format(deposit.reserveA, decimalsA, symbolA)} / ${format(deposit.reserveB, decimalsB, symbolB)}`));
+  }
+  logger.info(chalk.gray(`  Depositing: ${format(deposit.amountA, decimalsA, symbolA)} + ${format(deposit.amountB, decimalsB, symbolB)}`));
+  logger.info(chalk.gray(`  Min (${SLIPPAGE_TOLERANCE_PERCENT}% slippage): ${format(deposit.amountAMin, decimalsA, symbolA)} + ${format(deposit.amountBMin, decimalsB, symbolB)}`));
+}
 
-  for (let i = 0; i < cfg.sendAddressCount; i++) {
-    const randomWallet = ethers.Wallet.createRandom(); // Create a random address, not a full wallet
-    logger.info(chalk.gray(`  Sending ${cfg.sendAmount} ${cfg.sendTokenName} to ${randomWallet.address}...`));
-    lastTx = await tokenC.transfer(randomWallet.address, sendAmountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
-    await lastTx.wait(); // Wait for transfer to confirm
-    logger.info(chalk.green(`✔ Transfer confirmed: ${EXPLORER_TX_URL}${lastTx.hash}`));
+// Reports the LP tokens a confirmed add minted to the wallet, read from the pair's Mint event and its LP Transfer
+// from the zero address. sides are [{ symbol, address, decimals }] for tokenA and tokenB.
+function reportLiquidityMinted(receipt, wallet, sides) {
+  const pairInterface = new ethers.Interface(PAIR_ABI);
+  const parse = (log) => {
+    try {
+      return pairInterface.parseLog(log);
+    } catch (_) {
+      return null; // Some other contract's event with a clashing signature
+    }
+  };
+  const mintLog = receipt.logs.find(log => { const event = parse(log); return event && event.name === "Mint"; });
+  if (!mintLog) {
+    logger.warn(chalk.yellow(`  No Mint event found in ${receipt.hash}.`));
+    return;
   }
-  return lastTx; // Return the last transaction object
+
+  let minted = 0n;
+  for (const log of receipt.logs) {
+    const event = log.address === mintLog.address ? parse(log) : null;
+    if (event && event.name === "Transfer" && event.args.from === ethers.ZeroAddress && event.args.to === wallet.address) {
+      minted += event.args.value;
+    }
+  }
+  // The pair orders its tokens by address, which tells which Mint amount belongs to which side
+  const { amount0, amount1 } = parse(mintLog).args;
+  const [first, second] = sides[0].address.toLowerCase() < sides[1].address.toLowerCase() ? [amount0, amount1] : [amount1, amount0];
+  const deposited = `${ethers.formatUnits(first, sides[0].decimals)} ${sides[0].symbol} + ${ethers.formatUnits(second, sides[1].decimals)} ${sides[1].symbol}`;
+  logger.info(chalk.green(`✔ Minted ${ethers.formatUnits(minted, 18)} ${sides[0].symbol}/${sides[1].symbol} LP tokens for ${deposited}`));
 }
 
-async function performAddLiquidity(wallet, cfg, gasOptions) {
-  logger.info(chalk.blue(`ADD LIQUIDITY: ${cfg.lpBaseAmount} XRP + ${cfg.lpTokenAmount} ${cfg.lpTokenName}`));
+async function performAddLiquidityETH(wallet, cfg, gasOptions) {
+  logger.info(chalk.blue(`ADD LIQUIDITY: up to ${cfg.lpBaseAmount} XRP + ${cfg.lpTokenAmount} ${cfg.lpTokenName}`));
 
   const tokenAddress = TOKENS[cfg.lpTokenName];
   if (!tokenAddress) throw new Error(`Token address not found for symbol: ${cfg.lpTokenName}`);
 
-  const currentXRPBalance = parseFloat(await getWalletTokenBalance(wallet, "XRP"));
-  const currentTokenBalance = parseFloat(await getWalletTokenBalance(wallet, cfg.lpTokenName));
-  const estimatedGasCost = parseFloat(ethers.formatUnits(gasOptions.maxFeePerGas ? gasOptions.maxFeePerGas * BigInt(GAS_LIMIT_COMPLEX) : gasOptions.gasPrice * BigInt(GAS_LIMIT_COMPLEX), 'ether'));
+  const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
+  const tokenC = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
 
-  if (parseFloat(cfg.lpBaseAmount) + estimatedGasCost > currentXRPBalance) {
-    logger.warn(chalk.yellow(`Add LP skipped for ${wallet.address}: Insufficient XRP for base amount + gas. Needed est. ${parseFloat(cfg.lpBaseAmount) + estimatedGasCost}, have ${currentXRPBalance}.`));
+  const decimals = await tokenC.decimals();
+  const deposit = await sizeLiquidityDeposit(
+    WRAPPED_NATIVE_ADDRESS,
+    tokenAddress,
+    ethers.parseEther(cfg.lpBaseAmount), // For XRP
+    ethers.parseUnits(cfg.lpTokenAmount, decimals)
+  );
+  logLiquidityDeposit(deposit, "XRP", cfg.lpTokenName, 18, decimals);
+  const { amountA: xrpAmountRaw, amountB: tokenAmountRaw, amountAMin: amountETHMin, amountBMin: amountTokenMin } = deposit;
+
+  const currentXRPBalance = await provider.getBalance(wallet.address);
+  const currentTokenBalance = await tokenC.balanceOf(wallet.address);
+  const estimatedGasCost = gasOptions.maxFeePerGas ? gasOptions.maxFeePerGas * BigInt(GAS_LIMIT_COMPLEX) : gasOptions.gasPrice * BigInt(GAS_LIMIT_COMPLEX);
+
+  if (xrpAmountRaw + estimatedGasCost > currentXRPBalance) {
+    logger.warn(chalk.yellow(`Add LP skipped for ${wallet.address}: Insufficient XRP for base amount + gas. Needed est. ${ethers.formatEther(xrpAmountRaw + estimatedGasCost)}, have ${ethers.formatEther(currentXRPBalance)}.`));
     throw new Error(`Insufficient XRP for base amount + gas.`);
   }
-  if (parseFloat(cfg.lpTokenAmount) > currentTokenBalance) {
-    logger.warn(chalk.yellow(`Add LP skipped for ${wallet.address}: Insufficient ${cfg.lpTokenName} balance. Needed ${cfg.lpTokenAmount}, have ${currentTokenBalance}.`));
+  if (tokenAmountRaw > currentTokenBalance) {
+    logger.warn(chalk.yellow(`Add LP skipped for ${wallet.address}: Insufficient ${cfg.lpTokenName} balance. Needed ${ethers.formatUnits(tokenAmountRaw, decimals)}, have ${ethers.formatUnits(currentTokenBalance, decimals)}.`));
     throw new Error(`Insufficient ${cfg.lpTokenName} balance.`);
   }
 
-  const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
-  const tokenC = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-
-  const decimals = await tokenC.decimals();
-  const lpTokenAmountRaw = ethers.parseUnits(cfg.lpTokenAmount, decimals);
-  const lpBaseAmountRaw = ethers.parseEther(cfg.lpBaseAmount); // For XRP
-
   const deadline = Math.floor(Date.now() / 1e3) + 600;
 
-  const currentAllowance = await tokenC.allowance(wallet.address, ROUTER_ADDRESS);
-    if (currentAllowance < lpTokenAmountRaw) {
-        logger.info(chalk.blue(`Approving router for ${cfg.lpTokenAmount} ${cfg.lpTokenName}...`));
-        const approvalTx = await tokenC.approve(ROUTER_ADDRESS, lpTokenAmountRaw, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
-        await approvalTx.wait(); // Wait for approval to confirm before proceeding
-        logger.info(chalk.green(`✔ Approval confirmed: ${EXPLORER_TX_URL}${approvalTx.hash}`));
-    } else {
-       logger.info(chalk.gray(`Already approved enough ${cfg.lpTokenName} for router.`));
-    }
+  await ensureAllowance(wallet, tokenAddress, cfg.lpTokenName, tokenAmountRaw);
 
-  // Set min amounts to 0 or a very small value for testing, or calculate based on slippage
-  return await router.addLiquidityETH(
+  const tx = await router.addLiquidityETH(
       tokenAddress,
-      lpTokenAmountRaw,
-      0, // amountTokenMin - setting to 0 for relaxed testing, consider slippage
-      0, // amountETHMin - setting to 0 for relaxed testing, consider slippage
+      tokenAmountRaw,
+      amountTokenMin,
+      amountETHMin,
       wallet.address,
       deadline,
-      { value: lpBaseAmountRaw, gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }
+      { value: xrpAmountRaw, gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }
     );
+  confirmationHandlers.set(tx, (receipt) => reportLiquidityMinted(receipt, wallet, [
+    { symbol: "XRP", address: WRAPPED_NATIVE_ADDRESS, decimals: 18 },
+    { symbol: cfg.lpTokenName, address: tokenAddress, decimals },
+  ]));
+  return tx;
+}
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Signs an EIP-2612 permit letting the router pull `value` LP tokens. The domain is rebuilt from the pair's name
+// and checked against its DOMAIN_SEPARATOR, so a fork with a different domain is detected instead of producing a
+// signature the pair rejects. Returns null when the pair can't take a permit.
+async function signLpPermit(wallet, pairAddress, value, deadline) {
+  const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+  let name, domainSeparator, typeHash, nonce;
+  try {
+    [name, domainSeparator, typeHash, nonce] = await Promise.all([
+      pair.name(), pair.DOMAIN_SEPARATOR(), pair.PERMIT_TYPEHASH(), pair.nonces(wallet.address),
+    ]);
+  } catch (error) {
+    logger.info(chalk.gray(`  LP token has no permit support (${error.shortMessage || error.message}), approving instead.`));
+    return null;
+  }
+
+  const domain = { name, version: "1", chainId: EXPECTED_CHAIN_ID, verifyingContract: pairAddress };
+  const standardTypeHash = ethers.id("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+  if (ethers.TypedDataEncoder.hashDomain(domain) !== domainSeparator || typeHash !== standardTypeHash) {
+    logger.info(chalk.gray(`  LP token's permit domain or type is not the standard one, approving instead.`));
+    return null;
+  }
+
+  const signature = ethers.Signature.from(await wallet.signTypedData(domain, PERMIT_TYPES, {
+    owner: wallet.address,
+    spender: ROUTER_ADDRESS,
+    value,
+    nonce,
+    deadline,
+  }));
+  logger.info(chalk.gray(`  Signed permit for the router (LP nonce ${nonce}), removing in a single transaction.`));
+  return { v: signature.v, r: signature.r, s: signature.s };
+}
+
+// Lets the router pull `liquidity` LP tokens for a removal: nothing to do if the allowance already covers it, else a
+// permit signature (returned, for the *WithPermit functions), else an approval through the allowance policy (returns null).
+async function authorizeLpRemoval(wallet, pairAddress, liquidity, deadline) {
+    const lpTokenContract = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+    const currentAllowance = await lpTokenContract.allowance(wallet.address, ROUTER_ADDRESS);
+    if (currentAllowance >= liquidity) {
+        logger.info(chalk.gray(`Already approved enough LP tokens for router.`));
+        return null;
+    }
+
+    const permit = await signLpPermit(wallet, pairAddress, liquidity, deadline);
+    if (permit) return permit;
+
+    await ensureAllowance(wallet, pairAddress, "LP tokens", liquidity);
+    return null;
 }
 
-async function performRemoveLiquidity(wallet, cfg, gasOptions) {
+async function performRemoveLiquidityETH(wallet, cfg, gasOptions) {
     logger.info(chalk.blue(`REMOVE LIQUIDITY: Removing ${cfg.removeAmountPercentage}% of LP for ${cfg.lpTokenName}`));
 
     const tokenAddress = TOKENS[cfg.lpTokenName];
     if (!tokenAddress) throw new Error(`Token address not found for symbol: ${cfg.lpTokenName}`);
 
     const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
-    const providerRouter = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, provider); // Use provider for read calls on router
-
-    // THIS IS A PLACEHOLDER. A robust solution needs the FACTORY_ADDRESS and FACTORY_ABI
-    // To get the actual LP token address for a pair (e.g., WXRP/RISE), you typically:
-    // 1. Get Factory Address from Router: await router.factory();
-    // 2. Instantiate Factory Contract: new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
-    // 3. Get Pair Address from Factory: await factoryContract.getPair(TOKENS.WXRP, tokenAddress);
-    // 4. Use the returned pair address as `lpTokenForPairAddress`
-    // For now, assuming `lpTokenForPairAddress` is the tokenAddress itself, which is NOT entirely correct for LP tokens.
-    // However, for testnet scenarios where the "LP token" is sometimes treated as the underlying ERC20 for simplicity, it might work.
-    // IF THIS FAILS, IT'S LIKELY BECAUSE lpTokenForPairAddress IS NOT THE ACTUAL LP TOKEN.
-    const lpTokenForPairAddress = TOKENS[cfg.lpTokenName]; // <--- This needs to be the actual LP token address for the pair!
-
-    const lpTokenContract = new ethers.Contract(lpTokenForPairAddress, ERC20_ABI, wallet); // Use wallet for signed calls
+
+    // Resolve the actual WXRP/token pair (the LP token) through the router's factory
+    const pairInfo = await getPairInfo(WRAPPED_NATIVE_ADDRESS, tokenAddress);
+    if (!pairInfo) {
+        logger.warn(chalk.yellow(`No WXRP/${cfg.lpTokenName} pair exists on the factory. Skipping remove liquidity.`));
+        throw new Error(`No WXRP/${cfg.lpTokenName} pair found`);
+    }
+
+    const lpTokenContract = new ethers.Contract(pairInfo.address, PAIR_ABI, wallet); // Use wallet for signed calls
     const lpBalance = await lpTokenContract.balanceOf(wallet.address);
 
     if (lpBalance === BigInt(0)) {
@@ -875,30 +3109,148 @@ async function performRemoveLiquidity(wallet, cfg, gasOptions) {
         throw new Error(`Calculated LP amount to remove is zero.`);
     }
 
-    logger.info(chalk.gray(`  Attempting to remove ${ethers.formatUnits(lpAmountToRemove, 18)} LP tokens (Raw: ${lpAmountToRemove.toString()}).`)); // LP tokens usually have 18 decimals
-
-    const currentAllowance = await lpTokenContract.allowance(wallet.address, ROUTER_ADDRESS);
-    if (currentAllowance < lpAmountToRemove) {
-        logger.info(chalk.blue(`Approving router for LP token removal...`));
-        const approvalTx = await lpTokenContract.approve(ROUTER_ADDRESS, lpAmountToRemove, { gasLimit: GAS_LIMIT_ERC20, ...gasOptions });
-        await approvalTx.wait();
-        logger.info(chalk.green(`✔ LP Approval confirmed: ${EXPLORER_TX_URL}${approvalTx.hash}`));
-    } else {
-        logger.info(chalk.gray(`Already approved enough LP tokens for router.`));
+    if (pairInfo.totalSupply === BigInt(0)) {
+        throw new Error(`LP total supply for WXRP/${cfg.lpTokenName} is zero.`);
     }
 
+    // Our share of the pool, then shaved by the slippage tolerance to get the minimums
+    const expectedTokenRaw = (pairInfo.reserves[tokenAddress.toLowerCase()] * lpAmountToRemove) / pairInfo.totalSupply;
+    const expectedETHRaw = (pairInfo.reserves[WRAPPED_NATIVE_ADDRESS.toLowerCase()] * lpAmountToRemove) / pairInfo.totalSupply;
+    const SLIPPAGE_TOLERANCE_DENOMINATOR = BigInt(Math.round(SLIPPAGE_TOLERANCE_PERCENT * 100)); // e.g., 0.5% becomes 50
+    const amountTokenMin = (expectedTokenRaw * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+    const amountETHMin = (expectedETHRaw * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+
+    const tokenDecimals = await (new ethers.Contract(tokenAddress, ERC20_ABI, provider)).decimals();
+    logger.info(chalk.gray(`  Pair: ${pairInfo.address} | LP balance: ${ethers.formatUnits(lpBalance, 18)} of ${ethers.formatUnits(pairInfo.totalSupply, 18)} total supply`));
+    logger.info(chalk.gray(`  Attempting to remove ${ethers.formatUnits(lpAmountToRemove, 18)} LP tokens (Raw: ${lpAmountToRemove.toString()}).`)); // LP tokens usually have 18 decimals
+    logger.info(chalk.gray(`  Expected: ${ethers.formatUnits(expectedTokenRaw, tokenDecimals)} ${cfg.lpTokenName} + ${ethers.formatEther(expectedETHRaw)} XRP`));
+    logger.info(chalk.gray(`  Min (${SLIPPAGE_TOLERANCE_PERCENT}% slippage): ${ethers.formatUnits(amountTokenMin, tokenDecimals)} ${cfg.lpTokenName} + ${ethers.formatEther(amountETHMin)} XRP`));
+
     const deadline = Math.floor(Date.now() / 1e3) + 600; // 10 minutes from now
+    const permit = await authorizeLpRemoval(wallet, pairInfo.address, lpAmountToRemove, deadline);
+
+    // removeLiquidityETH forwards the burned token amount, which a taxed token's router balance can't cover.
+    // The supporting variant forwards whatever arrived; the minimums still apply to the amounts the pair pays out.
+    await detectTransferFee(wallet, tokenAddress);
+    const feeOnTransfer = isFeeOnTransfer(tokenAddress);
+    const removeFn = permit
+      ? (feeOnTransfer ? router.removeLiquidityETHWithPermitSupportingFeeOnTransferTokens : router.removeLiquidityETHWithPermit)
+      : (feeOnTransfer ? router.removeLiquidityETHSupportingFeeOnTransferTokens : router.removeLiquidityETH);
+    if (feeOnTransfer) {
+        logger.info(chalk.gray(`  ${cfg.lpTokenName} takes a ${tokenTransferFees[tokenAddress.toLowerCase()].feePercent}% transfer fee, using ${removeFn.name}`));
+    }
 
-    // Set min amounts to 0 for relaxed testing, or calculate based on slippage
-    return await router.removeLiquidityETH(
+    const args = [
         tokenAddress, // This is the address of the TOKEN in the WXRP/TOKEN pair (e.g., RISE)
         lpAmountToRemove,
-        0, // amountTokenMin
-        0, // amountETHMin
+        amountTokenMin,
+        amountETHMin,
         wallet.address,
         deadline,
-        { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }
+    ];
+    if (permit) args.push(false, permit.v, permit.r, permit.s); // approveMax = false: the permit covers just this amount
+    return await removeFn(...args, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions });
+}
+
+// Token/token add: amountA and amountB are the most the wallet puts in, sized to the pool ratio by sizeLiquidityDeposit
+async function performAddTokenLiquidity(wallet, cfg, gasOptions) {
+  logger.info(chalk.blue(`ADD LIQUIDITY: up to ${cfg.amountA} ${cfg.tokenA} + ${cfg.amountB} ${cfg.tokenB}`));
+
+  const addressA = TOKENS[cfg.tokenA];
+  const addressB = TOKENS[cfg.tokenB];
+  if (!addressA || !addressB) throw new Error(`Token address not found for ${cfg.tokenA}/${cfg.tokenB}.`);
+
+  const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
+  const tokenA = new ethers.Contract(addressA, ERC20_ABI, wallet);
+  const tokenB = new ethers.Contract(addressB, ERC20_ABI, wallet);
+  const [decimalsA, decimalsB] = await Promise.all([tokenA.decimals(), tokenB.decimals()]);
+  const amountADesired = ethers.parseUnits(cfg.amountA, decimalsA);
+  const amountBDesired = ethers.parseUnits(cfg.amountB, decimalsB);
+
+  const deposit = await sizeLiquidityDeposit(addressA, addressB, amountADesired, amountBDesired);
+  logLiquidityDeposit(deposit, cfg.tokenA, cfg.tokenB, decimalsA, decimalsB);
+  const { amountA, amountB, amountAMin, amountBMin } = deposit;
+
+  for (const [tokenC, symbol, amount, decimals] of [[tokenA, cfg.tokenA, amountA, decimalsA], [tokenB, cfg.tokenB, amountB, decimalsB]]) {
+    const balance = await tokenC.balanceOf(wallet.address);
+    if (balance < amount) {
+      logger.warn(chalk.yellow(`Add LP skipped for ${wallet.address}: Insufficient ${symbol} balance. Needed ${ethers.formatUnits(amount, decimals)}, have ${ethers.formatUnits(balance, decimals)}.`));
+      throw new Error(`Insufficient ${symbol} balance.`);
+    }
+  }
+
+  await ensureAllowance(wallet, addressA, cfg.tokenA, amountA);
+  await ensureAllowance(wallet, addressB, cfg.tokenB, amountB);
+
+  const deadline = Math.floor(Date.now() / 1e3) + 600;
+  const tx = await router.addLiquidity(
+      addressA,
+      addressB,
+      amountA,
+      amountB,
+      amountAMin,
+      amountBMin,
+      wallet.address,
+      deadline,
+      { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions }
     );
+  confirmationHandlers.set(tx, (receipt) => reportLiquidityMinted(receipt, wallet, [
+    { symbol: cfg.tokenA, address: addressA, decimals: decimalsA },
+    { symbol: cfg.tokenB, address: addressB, decimals: decimalsB },
+  ]));
+  return tx;
+}
+
+async function performRemoveTokenLiquidity(wallet, cfg, gasOptions) {
+    logger.info(chalk.blue(`REMOVE LIQUIDITY: Removing ${cfg.removeAmountPercentage}% of LP for ${cfg.tokenA}/${cfg.tokenB}`));
+
+    const addressA = TOKENS[cfg.tokenA];
+    const addressB = TOKENS[cfg.tokenB];
+    if (!addressA || !addressB) throw new Error(`Token address not found for ${cfg.tokenA}/${cfg.tokenB}.`);
+
+    const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, wallet);
+
+    const pairInfo = await getPairInfo(addressA, addressB);
+    if (!pairInfo) {
+        logger.warn(chalk.yellow(`No ${cfg.tokenA}/${cfg.tokenB} pair exists on the factory. Skipping remove liquidity.`));
+        throw new Error(`No ${cfg.tokenA}/${cfg.tokenB} pair found`);
+    }
+
+    const lpTokenContract = new ethers.Contract(pairInfo.address, PAIR_ABI, wallet);
+    const lpBalance = await lpTokenContract.balanceOf(wallet.address);
+    if (lpBalance === BigInt(0)) {
+        logger.warn(chalk.yellow(`Wallet ${wallet.address} has no LP tokens for ${cfg.tokenA}/${cfg.tokenB}. Skipping remove liquidity.`));
+        throw new Error(`No LP tokens for ${cfg.tokenA}/${cfg.tokenB}`);
+    }
+
+    const lpAmountToRemove = (lpBalance * BigInt(cfg.removeAmountPercentage)) / BigInt(100);
+    if (lpAmountToRemove === BigInt(0)) {
+        logger.warn(chalk.yellow(`Calculated LP amount to remove is zero. Skipping remove liquidity.`));
+        throw new Error(`Calculated LP amount to remove is zero.`);
+    }
+
+    // Our share of each reserve, shaved by the slippage tolerance. removeLiquidity pays out straight from the pair,
+    // so the minimums hold for fee-on-transfer tokens too (they only receive less).
+    const expectedARaw = (pairInfo.reserves[addressA.toLowerCase()] * lpAmountToRemove) / pairInfo.totalSupply;
+    const expectedBRaw = (pairInfo.reserves[addressB.toLowerCase()] * lpAmountToRemove) / pairInfo.totalSupply;
+    const SLIPPAGE_TOLERANCE_DENOMINATOR = BigInt(Math.round(SLIPPAGE_TOLERANCE_PERCENT * 100)); // e.g., 0.5% becomes 50
+    const amountAMin = (expectedARaw * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+    const amountBMin = (expectedBRaw * (BigInt(10000) - SLIPPAGE_TOLERANCE_DENOMINATOR)) / BigInt(10000);
+
+    const [decimalsA, decimalsB] = await Promise.all([addressA, addressB].map(address => new ethers.Contract(address, ERC20_ABI, provider).decimals()));
+    logger.info(chalk.gray(`  Pair: ${pairInfo.address} | LP balance: ${ethers.formatUnits(lpBalance, 18)} of ${ethers.formatUnits(pairInfo.totalSupply, 18)} total supply`));
+    logger.info(chalk.gray(`  Attempting to remove ${ethers.formatUnits(lpAmountToRemove, 18)} LP tokens (Raw: ${lpAmountToRemove.toString()}).`));
+    logger.info(chalk.gray(`  Expected: ${ethers.formatUnits(expectedARaw, decimalsA)} ${cfg.tokenA} + ${ethers.formatUnits(expectedBRaw, decimalsB)} ${cfg.tokenB}`));
+    logger.info(chalk.gray(`  Min (${SLIPPAGE_TOLERANCE_PERCENT}% slippage): ${ethers.formatUnits(amountAMin, decimalsA)} ${cfg.tokenA} + ${ethers.formatUnits(amountBMin, decimalsB)} ${cfg.tokenB}`));
+
+    const deadline = Math.floor(Date.now() / 1e3) + 600; // 10 minutes from now
+    const permit = await authorizeLpRemoval(wallet, pairInfo.address, lpAmountToRemove, deadline);
+
+    const args = [addressA, addressB, lpAmountToRemove, amountAMin, amountBMin, wallet.address, deadline];
+    if (permit) {
+        return await router.removeLiquidityWithPermit(...args, false, permit.v, permit.r, permit.s, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions });
+    }
+    return await router.removeLiquidity(...args, { gasLimit: GAS_LIMIT_COMPLEX, ...gasOptions });
 }
 
 async function performCustomContractCall(wallet, gasOptions) {
@@ -957,7 +3309,7 @@ async function getCalculatedAmount(wallet, tokenSymbol) {
           return "0";
       }
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-      decimals = await tokenContract.decimals();
+      decimals = Number(await tokenContract.decimals());
       balanceBigInt = await tokenContract.balanceOf(wallet.address);
     }
 
@@ -996,6 +3348,13 @@ async function getCalculatedAmount(wallet, tokenSymbol) {
   }
 }
 
+// Rounds a shortfall up (to 6 decimals, or fewer if the token has fewer) so buying it never leaves the balance just
+// under its threshold and parseUnits never sees more decimals than the token allows
+function roundUpAmount(amount, decimals) {
+    const places = Math.min(6, Number(decimals));
+    return (Math.ceil(amount * 10 ** places) / 10 ** places).toFixed(places);
+}
+
 async function checkAndRebalance(wallet) {
     logger.info(chalk.yellow(`Checking balances for rebalancing for wallet: ${wallet.address}`));
     const walletBalances = await getWalletBalances(wallet);
@@ -1003,33 +3362,34 @@ async function checkAndRebalance(wallet) {
     // Prioritize rebalancing XRP if critically low
     if (parseFloat(walletBalances.XRP) < REBALANCE_THRESHOLDS.XRP) {
         logger.warn(chalk.yellow(`XRP balance low (${walletBalances.XRP}). Attempting to acquire more XRP...`));
-        try {
-            let rebalanced = false;
-            for (const tokenSymbol of Object.keys(TOKENS)) {
-                if (tokenSymbol === "XRP" || parseFloat(walletBalances[tokenSymbol]) < REBALANCE_THRESHOLDS.XRP * 2) { // Only swap if other token is not also critically low
-                    continue;
-                }
-                const amountToSwap = (parseFloat(walletBalances[tokenSymbol]) * 0.05).toFixed(4); // Swap 5% of the other token
-                if (parseFloat(amountToSwap) <= 0) {
-                     logger.info(chalk.gray(`Calculated swap amount for ${tokenSymbol} is zero. Skipping rebalance.`));
-                     continue;
-                }
-                logger.info(chalk.blue(`Attempting to swap ${amountToSwap} ${tokenSymbol} for XRP to rebalance XRP...`));
-                const receipt = await withRetry(async (gasOptions) => {
-                    // Note: Direction is A to B, so tokenSymbol (e.g., RISE) to XRP
-                    return await performSwap(wallet, [tokenSymbol, "XRP"], amountToSwap, "AtoB", gasOptions);
+        let rebalanced = false;
+        for (const tokenSymbol of Object.keys(TOKENS)) {
+            if (tokenSymbol === "XRP" || parseFloat(walletBalances[tokenSymbol]) < REBALANCE_THRESHOLDS.XRP * 2) { // Only swap if other token is not also critically low
+                continue;
+            }
+            if (TOKENS[tokenSymbol] === WRAPPED_NATIVE_ADDRESS) continue; // WXRP → XRP is an unwrap, not a swap
+            try {
+                let amountToBuy;
+                logger.info(chalk.blue(`Attempting to buy back up to ${REBALANCE_THRESHOLDS.XRP} XRP with ${tokenSymbol}...`));
+                const receipt = await withRetryFor(wallet, "REBALANCE", async (gasOptions) => {
+                    // Buy exactly the shortfall plus the gas this rebalance may burn (approval + swap), so the wallet ends at the threshold
+                    const maxFee = gasOptions.maxFeePerGas ?? gasOptions.gasPrice;
+                    const gasHeadroom = parseFloat(ethers.formatEther(maxFee * BigInt(GAS_LIMIT_COMPLEX + GAS_LIMIT_ERC20)));
+                    amountToBuy = roundUpAmount(REBALANCE_THRESHOLDS.XRP - parseFloat(walletBalances.XRP) + gasHeadroom, 18);
+                    return await performExactOutputSwap(wallet, [tokenSymbol, "XRP"], amountToBuy, gasOptions);
                 });
                 if (receipt) { // Only increment if transaction confirmed
                     activityStats.rebalances++;
+                    await recordTransaction(wallet, "REBALANCE", receipt, { tokenIn: tokenSymbol, tokenOut: "XRP", amountOut: amountToBuy });
                     rebalanced = true;
                     break; // Rebalanced XRP, move to next wallet
                 }
+            } catch (error) { // Try the next token rather than giving up on the rebalance
+                logger.error(chalk.red(`Failed to rebalance XRP with ${tokenSymbol} for wallet ${wallet.address}: ${error.message}`));
             }
-            if (!rebalanced) {
-                logger.info(chalk.gray(`No suitable token found or available in sufficient quantity to rebalance XRP for wallet ${wallet.address}.`));
-            }
-        } catch (error) {
-            logger.error(chalk.red(`Failed to rebalance XRP for wallet ${wallet.address}: ${error.message}`));
+        }
+        if (!rebalanced) {
+            logger.info(chalk.gray(`No suitable token found or available in sufficient quantity to rebalance XRP for wallet ${wallet.address}.`));
         }
         return; // Don't proceed with other actions if XRP rebalance was attempted/needed
     }
@@ -1044,18 +3404,14 @@ async function checkAndRebalance(wallet) {
             logger.warn(chalk.yellow(`${tokenSymbol} balance low (${currentBalance}). Attempting to acquire more...`));
             try {
                 if (parseFloat(walletBalances.XRP) > REBALANCE_THRESHOLDS.XRP * 2) { // Ensure enough XRP to swap from
-                    const amountToSwapXRP = (parseFloat(walletBalances.XRP) * 0.01).toFixed(4); // Swap 1% of XRP
-                    if (parseFloat(amountToSwapXRP) <= 0) {
-                        logger.info(chalk.gray(`Calculated swap amount for XRP is zero. Skipping rebalance.`));
-                        continue;
-                    }
-                    logger.info(chalk.blue(`Attempting to swap ${amountToSwapXRP} XRP for ${tokenSymbol} to rebalance...`));
-                    const receipt = await withRetry(async (gasOptions) => {
-                        // Note: Direction is A to B, so XRP to tokenSymbol (e.g., RISE)
-                        return await performSwap(wallet, ["XRP", tokenSymbol], amountToSwapXRP, "AtoB", gasOptions);
+                    const amountToBuy = roundUpAmount(threshold - currentBalance, await getTokenDecimals(TOKENS[tokenSymbol])); // Exactly enough to reach the threshold
+                    logger.info(chalk.blue(`Attempting to buy ${amountToBuy} ${tokenSymbol} with XRP to rebalance...`));
+                    const receipt = await withRetryFor(wallet, "REBALANCE", async (gasOptions) => {
+                        return await performExactOutputSwap(wallet, ["XRP", tokenSymbol], amountToBuy, gasOptions);
                     });
                     if (receipt) { // Only increment if transaction confirmed
                         activityStats.rebalances++;
+                        await recordTransaction(wallet, "REBALANCE", receipt, { tokenIn: "XRP", tokenOut: tokenSymbol, amountOut: amountToBuy });
                     }
                 } else {
                     logger.info(chalk.gray(`Not enough XRP to rebalance ${tokenSymbol} for wallet ${wallet.address}.`));
@@ -1083,207 +3439,789 @@ function selectWeightedAction() {
 }
 
 
-async function startRandomLoop() {
-  logger.info(chalk.green("\n--- Starting 24-Hour Random Loop ---"));
-  logger.info(chalk.green("Press Ctrl+C to stop the loop at any time. Logs are in bot_activity.log"));
-  sendAlert("XRPL EVM Bot started its 24-hour random interaction loop.", "info");
-
-  const startTime = Date.now();
-  const twentyFourHours = 24 * 60 * 60 * 1000;
-
-  process.on('SIGINT', () => {
-    logger.info(chalk.red("\nCtrl+C detected. Stopping the loop."));
-    sendAlert("XRPL EVM Bot loop stopped manually.", "info");
-    process.exit();
-  });
-
-  while (Date.now() - startTime < twentyFourHours) {
-    for (const wallet of wallets) {
-        logger.info(chalk.magenta(`\nProcessing Wallet: ${wallet.address}`));
-        activityStats.lastActivity[wallet.address] = new Date().toLocaleString();
+// Runs one cycle for a single wallet: clear stuck transactions, rebalance, then one weighted random action (with retries).
+// `forcedAction` replaces the random pick, e.g. for an action triggered through the control API.
+async function processWalletCycle(wallet, forcedAction = null) {
+    logger.info(chalk.magenta(`\nProcessing Wallet: ${wallet.address}`));
+    await sweepStuckTransactions(wallet);
+    activityStats.lastActivity[wallet.address] = new Date().toLocaleString();
 
-        let actionSuccessful = false;
-        let retriesLeft = 3; // Max retries for the entire action per wallet cycle
+    let actionSuccessful = false;
+    let retriesLeft = 3; // Max retries for the entire action per wallet cycle
 
-        while (!actionSuccessful && retriesLeft > 0) {
-            try {
-                // Always check and rebalance first, regardless of chosen action
-                await checkAndRebalance(wallet);
-
-                const action = selectWeightedAction();
-                logger.info(chalk.cyan(`Selected action for wallet ${wallet.address.slice(0, 8)}...: ${action}`));
-
-                let receipt = null;
-                switch (action) {
-                    case "SWAP":
-                        // Randomly pick a token to swap to/from XRP
-                        const availableTokens = Object.keys(TOKENS).filter(t => t !== "XRP");
-                        if (availableTokens.length === 0) {
-                            logger.warn(chalk.yellow("No other tokens configured to swap with XRP. Skipping swap."));
-                            throw new Error("No other tokens for swap.");
-                        }
-                        const tokenToSwapWith = availableTokens[Math.floor(Math.random() * availableTokens.length)];
-
-                        const swapAmount = await getCalculatedAmount(wallet, "XRP"); // Amount of XRP to swap
-                        if (parseFloat(swapAmount) > 0) {
-                            receipt = await withRetry(async (gasOptions) => {
-                                return await performSwap(wallet, ["XRP", tokenToSwapWith], swapAmount, "AtoB", gasOptions);
-                            });
-                            if (receipt) activityStats.swaps++;
-                        } else {
-                            logger.warn(chalk.yellow("Skipping swap due to insufficient or invalid calculated amount for XRP."));
-                        }
-                        break;
-
-                    case "ADD_LIQUIDITY":
-                        const lpConfig = TOKEN_AMOUNT_CONFIG.ADD_LIQUIDITY_CONFIG;
-                        receipt = await withRetry(async (gasOptions) => {
-                            return await performAddLiquidity(wallet, lpConfig, gasOptions);
-                        });
-                        if (receipt) activityStats.addsLiquidity++;
-                        break;
+    while (!actionSuccessful && retriesLeft > 0) {
+        let action = null;
+        try {
+            // Always check and rebalance first, regardless of chosen action
+            await checkAndRebalance(wallet);
+
+            action = forcedAction || selectWeightedAction();
+            logger.info(chalk.cyan(`Selected action for wallet ${wallet.address.slice(0, 8)}...: ${action}`));
+
+            let receipt = null;
+            let amounts = {}; // Token amounts involved, recorded in the transaction history
+            switch (action) {
+                case "SWAP":
+                    // Randomly pick a token to swap to/from XRP (not the wrapped native token, that would just wrap XRP)
+                    const availableTokens = Object.keys(TOKENS).filter(t => TOKENS[t] !== WRAPPED_NATIVE_ADDRESS);
+                    if (availableTokens.length === 0) {
+                        logger.warn(chalk.yellow("No other tokens configured to swap with XRP. Skipping swap."));
+                        throw new Error("No other tokens for swap.");
+                    }
+                    const tokenToSwapWith = availableTokens[Math.floor(Math.random() * availableTokens.length)];
 
-                    case "REMOVE_LIQUIDITY":
-                        const removeLpConfig = TOKEN_AMOUNT_CONFIG.REMOVE_LIQUIDITY_CONFIG;
-                        receipt = await withRetry(async (gasOptions) => {
-                            return await performRemoveLiquidity(wallet, removeLpConfig, gasOptions);
+                    const swapAmount = await getCalculatedAmount(wallet, "XRP"); // Amount of XRP to swap
+                    if (parseFloat(swapAmount) > 0) {
+                        amounts = { tokenIn: "XRP", amountIn: swapAmount, tokenOut: tokenToSwapWith };
+                        receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                            return await performSwap(wallet, ["XRP", tokenToSwapWith], swapAmount, "AtoB", gasOptions);
                         });
-                        if (receipt) activityStats.removesLiquidity++;
-                        break;
+                        if (receipt) activityStats.swaps++;
+                    } else {
+                        logger.warn(chalk.yellow("Skipping swap due to insufficient or invalid calculated amount for XRP."));
+                    }
+                    break;
 
-                    case "SEND_AND_RECEIVE":
-                        const sendReceiveConfig = TOKEN_AMOUNT_CONFIG.SEND_AND_RECEIVE_CONFIG;
-                        receipt = await withRetry(async (gasOptions) => {
-                            return await performSendAndReceive(wallet, sendReceiveConfig, gasOptions);
+                case "TOKEN_SWAP":
+                    // Token → token, routed through whatever pairs the factory has (e.g. RISE → WXRP → RIBBIT)
+                    const fundedTokens = [];
+                    for (const symbol of Object.keys(TOKENS)) {
+                        if (parseFloat(await getWalletTokenBalance(wallet, symbol)) > 0) fundedTokens.push(symbol);
+                    }
+                    if (fundedTokens.length === 0 || Object.keys(TOKENS).length < 2) {
+                        logger.warn(chalk.yellow(`Wallet ${wallet.address} holds no tokens to swap. Skipping token swap.`));
+                        throw new Error("Insufficient token balances for a token swap.");
+                    }
+                    const tokenIn = fundedTokens[Math.floor(Math.random() * fundedTokens.length)];
+                    const outCandidates = Object.keys(TOKENS).filter(t => t !== tokenIn);
+                    const tokenOut = outCandidates[Math.floor(Math.random() * outCandidates.length)];
+
+                    const tokenSwapAmount = await getCalculatedAmount(wallet, tokenIn);
+                    if (parseFloat(tokenSwapAmount) > 0) {
+                        amounts = { tokenIn, amountIn: tokenSwapAmount, tokenOut };
+                        receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                            return await performSwap(wallet, [tokenIn, tokenOut], tokenSwapAmount, "AtoB", gasOptions);
                         });
-                        if (receipt) activityStats.sendsAndReceives++;
-                        break;
+                        if (receipt) activityStats.tokenSwaps++;
+                    } else {
+                        logger.warn(chalk.yellow(`Skipping token swap due to insufficient or invalid calculated amount for ${tokenIn}.`));
+                    }
+                    break;
+
+                case "ADD_LIQUIDITY":
+                    const addPairs = TOKEN_AMOUNT_CONFIG.ADD_LIQUIDITY_CONFIG.pairs;
+                    const addPair = addPairs[Math.floor(Math.random() * addPairs.length)];
+                    amounts = { [addPair.tokenA]: addPair.amountA, [addPair.tokenB]: addPair.amountB };
+                    receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                        return await performAddLiquidity(wallet, addPair, gasOptions);
+                    });
+                    if (receipt) activityStats.addsLiquidity++;
+                    break;
+
+                case "REMOVE_LIQUIDITY":
+                    const removeLpConfig = TOKEN_AMOUNT_CONFIG.REMOVE_LIQUIDITY_CONFIG;
+                    const removePair = {
+                        ...removeLpConfig.pairs[Math.floor(Math.random() * removeLpConfig.pairs.length)],
+                        removeAmountPercentage: removeLpConfig.removeAmountPercentage,
+                    };
+                    amounts = { pair: `${removePair.tokenA}/${removePair.tokenB}`, lpPercentage: removePair.removeAmountPercentage };
+                    receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                        return await performRemoveLiquidity(wallet, removePair, gasOptions);
+                    });
+                    if (receipt) activityStats.removesLiquidity++;
+                    break;
+
+                case "SEND_AND_RECEIVE":
+                    const sendReceiveConfig = TOKEN_AMOUNT_CONFIG.SEND_AND_RECEIVE_CONFIG;
+                    amounts = { [sendReceiveConfig.sendTokenName]: sendReceiveConfig.sendAmount, recipients: sendReceiveConfig.sendAddressCount };
+                    receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                        return await performSendAndReceive(wallet, sendReceiveConfig, gasOptions);
+                    });
+                    if (receipt) activityStats.sendsAndReceives++;
+                    break;
+
+                case "RANDOM_SEND":
+                    const randomSendConfig = TOKEN_AMOUNT_CONFIG.RANDOM_SEND_CONFIG;
+                    amounts = { [randomSendConfig.sendTokenName]: randomSendConfig.sendAmount, recipients: randomSendConfig.sendAddressCount };
+                    receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                        return await performRandomSend(wallet, randomSendConfig, gasOptions);
+                    });
+                    if (receipt) activityStats.randomSends++;
+                    break;
 
-                    case "RANDOM_SEND":
-                        const randomSendConfig = TOKEN_AMOUNT_CONFIG.RANDOM_SEND_CONFIG;
-                        receipt = await withRetry(async (gasOptions) => {
-                            return await performRandomSend(wallet, randomSendConfig, gasOptions);
+                case "CUSTOM_CONTRACT_CALL":
+                    if (CUSTOM_CONTRACTS_TO_INTERACT_WITH.length > 0) {
+                        receipt = await withRetryFor(wallet, action, async (gasOptions) => {
+                            return await performCustomContractCall(wallet, gasOptions);
                         });
-                        if (receipt) activityStats.randomSends++;
-                        break;
-
-                    case "CUSTOM_CONTRACT_CALL":
-                        if (CUSTOM_CONTRACTS_TO_INTERACT_WITH.length > 0) {
-                            receipt = await withRetry(async (gasOptions) => {
-                                return await performCustomContractCall(wallet, gasOptions);
-                            });
-                            if (receipt) activityStats.customContractCalls++;
-                        } else {
-                            logger.warn(chalk.yellow("Custom contract call action selected but no contracts configured. Skipping."));
-                        }
-                        break;
-                }
-
-                if (receipt) {
-                    actionSuccessful = true;
-                } else {
-                    // Only throw if no receipt AND not a known "skip" condition (like insufficient balance)
-                    // This prevents retries for known-fail scenarios that are already logged as skips.
-                    // Removed the `!error ||` part as error should always be defined in a catch block
-                    if (error && !error.message.includes("Insufficient") && !error.message.includes("zero")) {
-                         throw new Error("Action failed to produce a confirmed transaction.");
-                    } else if (!error) { // If there's no error but also no receipt
-                        throw new Error("Action completed without error but no transaction receipt was returned.");
+                        if (receipt) activityStats.customContractCalls++;
+                    } else {
+                        logger.warn(chalk.yellow("Custom contract call action selected but no contracts configured. Skipping."));
                     }
-                }
+                    break;
+            }
 
-            } catch (error) { // Ensure error is caught and used
-                retriesLeft--;
-                logger.error(chalk.red(`Action failed for wallet ${wallet.address}: ${error.message}`));
-                if (retriesLeft > 0) {
-                    logger.info(chalk.yellow(`Retrying action for wallet ${wallet.address} (${retriesLeft} retries left)...`));
-                    await delay(5000); // Small delay before retrying
-                } else {
-                    logger.error(chalk.red(`Action failed after all retries for wallet ${wallet.address}. Moving to next wallet/cycle.`));
+            if (receipt) {
+                await recordTransaction(wallet, action, receipt, amounts);
+                actionSuccessful = true;
+            } else {
+                // Only throw if no receipt AND not a known "skip" condition (like insufficient balance)
+                // This prevents retries for known-fail scenarios that are already logged as skips.
+                // Removed the `!error ||` part as error should always be defined in a catch block
+                if (error && !error.message.includes("Insufficient") && !error.message.includes("zero")) {
+                     throw new Error("Action failed to produce a confirmed transaction.");
+                } else if (!error) { // If there's no error but also no receipt
+                    throw new Error("Action completed without error but no transaction receipt was returned.");
                 }
             }
+
+        } catch (error) { // Ensure error is caught and used
+            retriesLeft--;
+            await recordTransaction(wallet, action || "REBALANCE", null, {}, error);
+            logger.error(chalk.red(`Action failed for wallet ${wallet.address}: ${error.message}`), { action, errorCode: error.code });
+            if (retriesLeft > 0 && loopControl.stopRequested) {
+                logger.info(chalk.yellow(`Stop requested; not retrying the action for wallet ${wallet.address}.`));
+                break;
+            } else if (retriesLeft > 0) {
+                logger.info(chalk.yellow(`Retrying action for wallet ${wallet.address} (${retriesLeft} retries left)...`));
+                await delay(5000); // Small delay before retrying
+            } else {
+                logger.error(chalk.red(`Action failed after all retries for wallet ${wallet.address}. Moving to next wallet/cycle.`));
+                sendAlert(`${action || "REBALANCE"} failed for wallet ${wallet.address}: ${error.message}`, "warn");
+            }
         }
     }
+}
+
+async function startRandomLoop(durationMs = LOOP_DURATION_MS) {
+  if (DRY_RUN) {
+    // One simulated pass over every wallet, one wallet at a time so the report reads in order.
+    // The saved loop window is left untouched.
+    logger.info(chalk.yellow(`\n--- Simulating one Random Loop cycle for ${wallets.length} wallet(s) (dry run) ---`));
+    await runWithConcurrency(wallets, 1, (wallet) => withLogContext({ walletAddress: wallet.address }, () => processWalletCycle(wallet)));
+    displayDryRunSummary();
+    return;
+  }
+
+  // Resume an unfinished loop window from the state file instead of starting a new one
+  if (loopState.startedAt && Date.now() - loopState.startedAt < loopState.durationMs) {
+    const remainingMinutes = Math.round((loopState.durationMs - (Date.now() - loopState.startedAt)) / 60000);
+    logger.info(chalk.green(`\n--- Resuming ${formatDuration(loopState.durationMs)} Random Loop (started ${new Date(loopState.startedAt).toLocaleString()}, ${remainingMinutes} min left, cycle ${loopState.cycle}, ${loopState.completedWallets.length}/${wallets.length} wallets done) ---`));
+    sendAlert(`XRPL EVM Bot resumed its ${formatDuration(loopState.durationMs)} random interaction loop.`, "info");
+  } else {
+    loopState = { startedAt: Date.now(), durationMs, cycle: 1, completedWallets: [] };
+    logger.info(chalk.green(`\n--- Starting ${formatDuration(durationMs)} Random Loop ---`));
+    sendAlert(`XRPL EVM Bot started its ${formatDuration(durationMs)} random interaction loop.`, "info");
+  }
+  logger.info(chalk.green("Press Ctrl+C to stop the loop once in-flight actions finish (twice to exit at once). Logs are in bot_activity.log"));
+  saveState();
+  await approveTokensAtStartup(wallets);
+  await startMonitoringServer().catch(error => logger.error(chalk.red(`Could not start the monitoring server: ${error.message}`)));
+
+  const stopOnSignal = (signal) => {
+    if (loopControl.stopRequested) {
+      logger.warn(chalk.red(`\n${signal} again: exiting without waiting for in-flight transactions.`));
+      saveState();
+      process.exit(1);
+    }
+    requestLoopStop(signal === "SIGINT" ? "Ctrl+C detected" : `${signal} received`);
+  };
+  process.on('SIGINT', stopOnSignal);
+  process.on('SIGTERM', stopOnSignal);
+
+  while (Date.now() - loopState.startedAt < loopState.durationMs && !loopControl.stopRequested) {
+    // Wallets are independent, so several run at once; each one's transactions are ordered by its ManagedSigner
+    const pendingWallets = wallets.filter(wallet => !loopState.completedWallets.includes(wallet.address));
+    const cycleId = `${loopState.startedAt.toString(36)}-${loopState.cycle}`; // Unique per loop window, kept when resuming
+    await runWithConcurrency(pendingWallets, WALLET_CONCURRENCY, async (wallet) => {
+        await waitWhileLoopPaused();
+        if (loopControl.stopRequested) return; // Not started, so it stays pending for a resumed loop
+        if (loopControl.pausedWallets.has(wallet.address)) {
+            logger.info(chalk.gray(`Wallet ${wallet.address} is paused; skipping it this cycle.`));
+        } else {
+            await withWalletLock(wallet, () => withLogContext({ cycleId, walletAddress: wallet.address }, () => processWalletCycle(wallet)));
+        }
+        loopState.completedWallets.push(wallet.address);
+        saveState(); // Save progress after each wallet so a restart skips the ones already done this cycle
+    });
+    if (loopControl.stopRequested) break;
     logger.info(chalk.white("\nAll wallets processed for this cycle. Waiting for next cycle..."));
     logger.info(chalk.white("Current Activity Stats:", activityStats));
+    loopState.cycle++;
+    loopState.completedWallets = [];
     saveState(); // Save state after each full cycle
+    markCycleCompleted(cycleId);
+    await evaluateAlertRules(wallets);
 
     const sleepTime = Math.floor(Math.random() * (MAX_LOOP_INTERVAL_SECONDS - MIN_LOOP_INTERVAL_SECONDS + 1) + MIN_LOOP_INTERVAL_SECONDS) * 1000;
     logger.info(chalk.white(`Sleeping for ${sleepTime / 1000} seconds before next cycle.`));
-    await delay(sleepTime);
+    await sleepUnlessStopped(sleepTime);
+  }
+  process.removeListener('SIGINT', stopOnSignal);
+  process.removeListener('SIGTERM', stopOnSignal);
+
+  if (loopControl.stopRequested) {
+    // The loop window is kept, so the next start resumes it
+    await Promise.allSettled([...triggeredActions]);
+    saveState();
+    logger.info(chalk.green(`\n--- Random Loop stopped (cycle ${loopState.cycle}); in-flight actions finished and state saved ---`));
+    await Promise.race([sendAlert("XRPL EVM Bot loop stopped on request.", "info"), delay(5000)]);
+    loopControl.stopRequested = false;
+    return;
+  }
+
+  logger.info(chalk.green(`\n--- ${formatDuration(loopState.durationMs)} Random Loop Finished ---`));
+  sendAlert(`XRPL EVM Bot completed its ${formatDuration(loopState.durationMs)} random interaction loop.`, "info");
+  loopState = { startedAt: null, durationMs: LOOP_DURATION_MS, cycle: 0, completedWallets: [] };
+  saveState();
+  displayStats();
+}
+
+function displayStats() {
+  logger.info(chalk.cyan("\n--- Final Activity Statistics ---"));
+  for (const stat in activityStats) {
+    if (typeof activityStats[stat] !== 'object') { // Exclude lastActivity and per-wallet objects
+        logger.info(chalk.cyan(`${stat}: ${activityStats[stat]}`));
+    }
+  }
+  const rpcHealth = provider && provider.endpoints.some(e => e.requests > 0) ? provider.getHealthReport() : activityStats.rpcHealth;
+  if (rpcHealth && rpcHealth.length > 0) {
+    logger.info(chalk.cyan("RPC endpoints:"));
+    for (const endpoint of rpcHealth) {
+      logger.info(chalk.cyan(`  ${endpoint.url} [${endpoint.status}] ${endpoint.requests} requests, ${endpoint.errorRatePercent}% errors, ${endpoint.latencyMs === null ? "n/a" : `${endpoint.latencyMs}ms`} latency${endpoint.lastError ? ` (last error: ${endpoint.lastError})` : ''}`));
+    }
+  }
+  const { slippage } = activityStats;
+  if (slippage.swaps > 0) {
+    logger.info(chalk.cyan(`Swap slippage: ${+(slippage.totalPercent / slippage.swaps).toFixed(4)}% average, ${slippage.worstPercent}% worst over ${slippage.swaps} swap(s)`));
+  }
+  const feeTokens = Object.values(tokenTransferFees).filter(entry => entry.feeOnTransfer);
+  if (feeTokens.length > 0) {
+    logger.info(chalk.cyan(`Fee-on-transfer tokens: ${feeTokens.map(entry => `${entry.symbol} (${entry.feePercent}%)`).join(", ")}`));
+  }
+  for (const address in activityStats.wallets) {
+    const walletStats = activityStats.wallets[address];
+    const actionCounts = Object.entries(walletStats.actions).map(([action, count]) => `${action}=${count}`).join(', ');
+    const gasToday = walletStats.gasSpentToday ? `, ${ethers.formatEther(walletStats.gasSpentToday.wei)} XRP gas paid on ${walletStats.gasSpentToday.date}` : '';
+    logger.info(chalk.magenta(`${address}: ${walletStats.successes} ok / ${walletStats.failures} failed, gas used ${walletStats.gasUsed}${gasToday}${actionCounts ? ` (${actionCounts})` : ''}`));
+    if (walletStats.pnl && (Object.keys(walletStats.pnl.net).length > 0 || walletStats.pnl.gasXrp !== "0")) {
+        const net = Object.entries(walletStats.pnl.net).map(([symbol, amount]) => `${amount.startsWith("-") ? "" : "+"}${amount} ${symbol}`);
+        logger.info(chalk.gray(`  PnL: ${net.length > 0 ? net.join(", ") : "no token movements"}, gas paid ${walletStats.pnl.gasXrp} XRP`));
+    }
+    if (activityStats.lastActivity[address]) {
+        logger.info(chalk.gray(`  Last activity: ${activityStats.lastActivity[address]}`));
+    }
+  }
+  logger.info(chalk.cyan("----------------------------------"));
+}
+
+// --- Alert Dispatch ---
+// sendAlert() logs the alert and hands it to every configured sink ("alerts.sinks" in config.json) whose
+// minSeverity it reaches. Before that, repeats of the same alert (same severity and text once hashes and numbers are
+// ignored) within dedupeWindowSeconds are dropped and counted; the next copy that gets through says how many there
+// were. Each sink also sends at most maxPerHour alerts. Failed deliveries are retried with a backoff, and one slow or
+// broken sink never holds up another. Credentials default to environment variables, so a sink without them is skipped.
+
+const ALERT_SEVERITIES = ["info", "warn", "error"];
+const ALERT_TIMEOUT_MS = 10000; // Per delivery attempt
+const ALERT_TEXT_LIMIT = 1900; // Discord rejects messages over 2000 characters
+
+let alertSinks = []; // Resolved sinks: { type, minSeverity, settings, sentAt: [timestamps], dropped }
+const alertRepeats = new Map(); // Dedupe key → { lastSentAt, suppressed, firstSuppressedAt }
+
+function isLoopbackUrl(url) {
+  try {
+    return ["127.0.0.1", "localhost", "[::1]"].includes(new URL(url).hostname);
+  } catch (_) {
+    return false;
+  }
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+  });
+  const text = await response.text();
+  if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  return text;
+}
+
+function alertText(alert) {
+  let text = `XRPL EVM Bot Alert (${alert.severity.toUpperCase()}, ${alert.network})\n\n${alert.message}`;
+  if (alert.repeated > 0) text += `\n\nRepeated ${alert.repeated} more time(s) since ${alert.repeatedSince}.`;
+  if (alert.dropped > 0) text += `\n\n${alert.dropped} earlier alert(s) were dropped by this channel's rate limit.`;
+  return text.length > ALERT_TEXT_LIMIT ? `${text.slice(0, ALERT_TEXT_LIMIT)}…` : text;
+}
+
+function alertSubject(alert) {
+  const firstLine = alert.message.split("\n")[0];
+  return `[XRPL EVM Bot] ${alert.severity.toUpperCase()}: ${firstLine.length > 80 ? `${firstLine.slice(0, 80)}…` : firstLine}`;
+}
+
+// What each HTTP sink posts; the test sink sends all of them so their content can be checked in one place
+function renderAlert(alert) {
+  const text = alertText(alert);
+  return {
+    text,
+    subject: alertSubject(alert),
+    discord: { content: text },
+    slack: { text },
+    webhook: { source: "xrpl-evm-bot", ...alert },
+  };
+}
+
+async function sendTelegramAlert(alert, { botToken, chatId }) {
+  // Plain text: action names such as TOKEN_SWAP break Telegram's Markdown parser
+  const data = JSON.parse(await postJson(`https://api.telegram.org/bot${botToken}/sendMessage`, { chat_id: chatId, text: alertText(alert) }));
+  if (!data.ok) throw new Error(`Telegram API error: ${data.description}`);
+}
+
+// With credentials the connection must be TLS (implicit with "secure", otherwise STARTTLS is required) so the password
+// never crosses the network in cleartext; without them STARTTLS is still used when the server offers it
+async function sendSmtpAlert(alert, { host, port, secure, from, to, user, pass }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: Boolean(user),
+    auth: user ? { user, pass: pass || "" } : undefined,
+    connectionTimeout: ALERT_TIMEOUT_MS,
+    greetingTimeout: ALERT_TIMEOUT_MS,
+    socketTimeout: ALERT_TIMEOUT_MS,
+  });
+  try {
+    await transport.sendMail({ from, to, subject: alertSubject(alert), text: alertText(alert) });
+  } finally {
+    transport.close();
+  }
+}
+
+async function appendFileAlert(alert, { path: file }) {
+  await fs.promises.appendFile(file, `${JSON.stringify(alert)}\n`);
+}
+
+// Each sink type: resolve(sinkConfig, env) → settings, or null when a credential is missing; send(alert, settings).
+// "external" sinks leave the machine and stay quiet during --dry-run.
+const ALERT_SINK_TYPES = {
+  telegram: {
+    external: true,
+    resolve: (sink, env) => {
+      const botToken = sink.botToken || env.TELEGRAM_BOT_TOKEN;
+      const chatId = sink.chatId || env.TELEGRAM_CHAT_ID;
+      return botToken && chatId ? { botToken, chatId } : null;
+    },
+    send: sendTelegramAlert,
+  },
+  discord: {
+    external: true,
+    resolve: (sink, env) => ((sink.url || env.DISCORD_WEBHOOK_URL) ? { url: sink.url || env.DISCORD_WEBHOOK_URL } : null),
+    send: (alert, { url }) => postJson(url, renderAlert(alert).discord),
+  },
+  slack: {
+    external: true,
+    resolve: (sink, env) => ((sink.url || env.SLACK_WEBHOOK_URL) ? { url: sink.url || env.SLACK_WEBHOOK_URL } : null),
+    send: (alert, { url }) => postJson(url, renderAlert(alert).slack),
+  },
+  webhook: {
+    external: true,
+    resolve: (sink, env) => ((sink.url || env.ALERT_WEBHOOK_URL) ? { url: sink.url || env.ALERT_WEBHOOK_URL, headers: sink.headers || {} } : null),
+    send: (alert, { url, headers }) => postJson(url, renderAlert(alert).webhook, headers),
+  },
+  smtp: {
+    external: true,
+    resolve: (sink, env) => {
+      const host = sink.host || env.SMTP_HOST;
+      const from = sink.from || env.ALERT_EMAIL_FROM;
+      const to = [].concat(sink.to || (env.ALERT_EMAIL_TO ? env.ALERT_EMAIL_TO.split(",").map(address => address.trim()) : []));
+      if (!host || !from || to.length === 0) return null;
+      const secure = sink.secure === true;
+      return { host, port: sink.port || (secure ? 465 : 587), secure, from, to, user: env.SMTP_USER || null, pass: env.SMTP_PASS || null };
+    },
+    send: sendSmtpAlert,
+  },
+  file: {
+    external: false,
+    resolve: sink => ({ path: path.resolve(__dirname, sink.path || "alerts.log") }),
+    send: appendFileAlert,
+  },
+  test: {
+    external: false,
+    resolve: sink => (sink.url ? { url: sink.url } : null),
+    send: (alert, { url }) => postJson(url, { alert, rendered: renderAlert(alert) }),
+  },
+};
+
+// Builds the sinks from the "alerts" config; called by applyConfig()
+function configureAlerts(alertConfig, env = process.env) {
+  alertSinks = [];
+  for (const sink of alertConfig.sinks) {
+    const settings = ALERT_SINK_TYPES[sink.type].resolve(sink, env);
+    if (!settings) {
+      logger.debug(chalk.gray(`Alert sink "${sink.type}" has no credentials configured; skipping it.`));
+      continue;
+    }
+    alertSinks.push({ type: sink.type, minSeverity: sink.minSeverity, settings, sentAt: [], dropped: 0 });
+  }
+}
+
+// Same alert for dedupe purposes: hashes, addresses and numbers (amounts, block numbers, counts) don't matter
+function alertDedupeKey(message, severity) {
+  return `${severity}:${message.replace(/0x[0-9a-fA-F]+/g, "0x…").replace(/\d+(\.\d+)?/g, "#")}`;
+}
+
+// Returns false while the alert is a repeat inside the dedupe window; otherwise notes how many repeats were held back
+function passesDedupe(alert) {
+  const windowMs = ALERT_CONFIG.dedupeWindowSeconds * 1000;
+  const key = alertDedupeKey(alert.message, alert.severity);
+  const now = Date.now();
+  const entry = alertRepeats.get(key);
+  if (entry && now - entry.lastSentAt < windowMs) {
+    if (entry.suppressed === 0) entry.firstSuppressedAt = new Date(now).toISOString();
+    entry.suppressed++;
+    return false;
+  }
+  if (entry && entry.suppressed > 0) {
+    alert.repeated = entry.suppressed;
+    alert.repeatedSince = entry.firstSuppressedAt;
+  }
+  alertRepeats.set(key, { lastSentAt: now, suppressed: 0, firstSuppressedAt: null });
+  for (const [oldKey, oldEntry] of alertRepeats) {
+    if (now - oldEntry.lastSentAt >= windowMs && oldEntry.suppressed === 0) alertRepeats.delete(oldKey);
+  }
+  return true;
+}
+
+// Sliding one-hour window per sink
+function passesRateLimit(sink) {
+  if (ALERT_CONFIG.maxPerHour === null) return true;
+  const now = Date.now();
+  sink.sentAt = sink.sentAt.filter(time => now - time < 60 * 60 * 1000);
+  if (sink.sentAt.length >= ALERT_CONFIG.maxPerHour) {
+    sink.dropped++;
+    return false;
+  }
+  sink.sentAt.push(now);
+  return true;
+}
+
+async function deliverAlert(sink, alert) {
+  const sinkType = ALERT_SINK_TYPES[sink.type];
+  const attempts = ALERT_CONFIG.retries + 1;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      await sinkType.send(alert, sink.settings);
+      logger.debug(chalk.gray(`Alert sent via ${sink.type}.`));
+      return true;
+    } catch (error) {
+      if (i === attempts - 1) {
+        logger.warn(chalk.yellow(`Could not send alert via ${sink.type} after ${attempts} attempt(s): ${error.message}`));
+        return false;
+      }
+      await delay(1000 * 2 ** i);
+    }
+  }
+  return false;
+}
+
+// Sinks that would get an alert of this level, rate limits aside
+function alertSinksFor(level) {
+    const severity = ALERT_SEVERITIES.indexOf(level);
+    return alertSinks
+        .filter(sink => severity >= ALERT_SEVERITIES.indexOf(sink.minSeverity))
+        .filter(sink => !(DRY_RUN && ALERT_SINK_TYPES[sink.type].external));
+}
+
+// Logs the alert and sends it to the sinks. Never rejects; resolves to [{ sink, type, sent }] for the sinks it was sent to.
+// options.dedupe = false sends it even if the same text went out inside the dedupe window (alert rules fire on edges).
+async function sendAlert(message, level = 'info', options = {}) {
+    const alertMessage = `ALERT DISPATCH: ${message}`;
+    if (level === 'error') {
+        logger.error(chalk.bgRed.white(alertMessage));
+    } else if (level === 'warn') {
+        logger.warn(chalk.bgYellow.black(alertMessage));
+    } else {
+        logger.info(chalk.bgGreen.black(alertMessage));
+    }
+    if (!ALERT_CONFIG) return []; // Config failed to load
+
+    const alert = { severity: level, message, timestamp: new Date().toISOString(), network: NETWORK_NAME };
+    if (options.dedupe !== false && !passesDedupe(alert)) {
+        logger.debug(chalk.gray(`Alert is a repeat inside the ${ALERT_CONFIG.dedupeWindowSeconds}s dedupe window; not sent.`));
+        return [];
+    }
+
+    const deliveries = alertSinksFor(level)
+        .filter(passesRateLimit)
+        .map(async (sink) => {
+            const dropped = sink.dropped;
+            sink.dropped = 0;
+            return { sink, type: sink.type, sent: await deliverAlert(sink, dropped > 0 ? { ...alert, dropped } : alert) };
+        });
+    return await Promise.all(deliveries);
+}
+
+// `test-alert` command: sends one alert through every configured sink and reports the outcome
+async function testAlerts(severity = "info", message = "Test alert from the XRPL EVM Bot.") {
+  if (!ALERT_SEVERITIES.includes(severity)) throw new Error(`Invalid severity "${severity}". Use one of: ${ALERT_SEVERITIES.join(", ")}.`);
+  if (alertSinks.length === 0) throw new Error(`No alert sink is configured with its credentials (see "alerts.sinks" in config.json).`);
+  const results = await sendAlert(message, severity);
+  for (const sink of alertSinks) {
+    const result = results.find(r => r.sink === sink);
+    if (!result) {
+      const reason = ALERT_SEVERITIES.indexOf(severity) < ALERT_SEVERITIES.indexOf(sink.minSeverity) ? `below its minSeverity ${sink.minSeverity}`
+        : DRY_RUN && ALERT_SINK_TYPES[sink.type].external ? "dry run" : "rate limited";
+      logger.info(chalk.gray(`  ${sink.type}: skipped (${reason})`));
+    } else if (result.sent) {
+      logger.info(chalk.green(`  ${sink.type}: sent`));
+    } else {
+      logger.warn(chalk.yellow(`  ${sink.type}: failed`));
+    }
+  }
+  return results.every(result => result.sent);
+}
+
+// --- Alert Rules ---
+// Wallet and RPC health checks run after every loop cycle ("alertRules" in config.json, null turns a rule off).
+// A rule alerts once when its condition starts and sends a recovery notice once it clears; while the condition
+// holds nothing is repeated. These alerts skip the dedupe window (two wallets' low balances differ only in the
+// address), and one that no sink took, e.g. because of a rate limit or a failed delivery, is tried again next cycle.
+// Failure counts come from txHistory, where every failed attempt is an entry.
+
+const ALERT_RULE_NAMES = ["lowXrpBalance", "consecutiveFailures", "failureRate", "dailyGas", "rpcLatency"];
+const activeAlertConditions = new Map(); // "rule:subject" → { since, message, severity }
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Failed or reverted actions at the end of the wallet's history, newest first, up to the first success
+function countConsecutiveFailures(address) {
+  let count = 0;
+  for (let i = txHistory.length - 1; i >= 0; i--) {
+    if (txHistory[i].wallet !== address) continue;
+    if (txHistory[i].status === "success") break;
+    count++;
+  }
+  return count;
+}
+
+// Returns [{ key, severity, firing, message, recovery }], one per rule and subject (wallet or RPC endpoint)
+async function checkAlertRules(walletList) {
+  const rules = ALERT_RULES_CONFIG;
+  const checks = [];
+  for (const wallet of walletList) {
+    const label = `Wallet ${shortAddress(wallet.address)}`;
+    if (rules.lowXrpBalance) {
+      try {
+        const balance = await provider.getBalance(wallet.address);
+        checks.push({
+          key: `lowXrpBalance:${wallet.address}`,
+          severity: rules.lowXrpBalance.severity,
+          firing: balance < ethers.parseEther(rules.lowXrpBalance.belowXrp),
+          message: `${label} has ${ethers.formatEther(balance)} XRP, below the ${rules.lowXrpBalance.belowXrp} XRP alert threshold.`,
+          recovery: `${label} is back to ${ethers.formatEther(balance)} XRP.`,
+        });
+      } catch (error) {
+        logger.warn(chalk.yellow(`Could not check the XRP balance of ${wallet.address} for alerts: ${error.message}`));
+      }
+    }
+    if (rules.consecutiveFailures) {
+      const failures = countConsecutiveFailures(wallet.address);
+      checks.push({
+        key: `consecutiveFailures:${wallet.address}`,
+        severity: rules.consecutiveFailures.severity,
+        firing: failures >= rules.consecutiveFailures.count,
+        message: `${label} failed its last ${failures} action attempt(s) in a row.`,
+        recovery: `${label} completed an action again.`,
+      });
+    }
+    if (rules.failureRate) {
+      const since = Date.now() - rules.failureRate.windowMinutes * 60 * 1000;
+      const recent = txHistory.filter(entry => entry.wallet === wallet.address && Date.parse(entry.timestamp) >= since);
+      const failed = recent.filter(entry => entry.status !== "success").length;
+      const ratePercent = recent.length > 0 ? (failed / recent.length) * 100 : 0;
+      checks.push({
+        key: `failureRate:${wallet.address}`,
+        severity: rules.failureRate.severity,
+        firing: recent.length >= rules.failureRate.minActions && ratePercent > rules.failureRate.abovePercent,
+        message: `${label} failed ${failed} of ${recent.length} action attempt(s) (${ratePercent.toFixed(1)}%) in the last ${rules.failureRate.windowMinutes} min.`,
+        recovery: `${label} is back to a ${ratePercent.toFixed(1)}% failure rate over the last ${rules.failureRate.windowMinutes} min.`,
+      });
+    }
+    if (rules.dailyGas) {
+      const spent = getDailyGasSpent(wallet.address);
+      checks.push({
+        key: `dailyGas:${wallet.address}`,
+        severity: rules.dailyGas.severity,
+        firing: BigInt(spent.wei) > ethers.parseEther(rules.dailyGas.aboveXrp),
+        message: `${label} spent ${ethers.formatEther(spent.wei)} XRP on gas on ${spent.date} (UTC), above the ${rules.dailyGas.aboveXrp} XRP alert threshold.`,
+        recovery: `${label} is back under the ${rules.dailyGas.aboveXrp} XRP daily gas threshold (${ethers.formatEther(spent.wei)} XRP on ${spent.date}).`,
+      });
+    }
   }
+  if (rules.rpcLatency) {
+    for (const endpoint of provider.getHealthReport()) {
+      if (endpoint.status === "disabled" || endpoint.latencyMs === null) continue;
+      checks.push({
+        key: `rpcLatency:${endpoint.url}`,
+        severity: rules.rpcLatency.severity,
+        firing: endpoint.latencyMs > rules.rpcLatency.aboveMs,
+        message: `RPC ${endpoint.url} averages ${Math.round(endpoint.latencyMs)} ms per request, above the ${rules.rpcLatency.aboveMs} ms alert threshold.`,
+        recovery: `RPC ${endpoint.url} is back to ${Math.round(endpoint.latencyMs)} ms per request.`,
+      });
+    }
+  }
+  return checks;
+}
 
-  logger.info(chalk.green("\n--- 24-Hour Random Loop Finished ---"));
-  sendAlert("XRPL EVM Bot completed its 24-hour random interaction loop.", "info");
-  displayStats();
+// True once a sink took the alert, or when no sink would get one of this level (nothing to try again)
+async function deliveredAlert(message, level) {
+  const results = await sendAlert(message, level, { dedupe: false });
+  return results.some(result => result.sent) || alertSinksFor(level).length === 0;
 }
 
-function displayStats() {
-  logger.info(chalk.cyan("\n--- Final Activity Statistics ---"));
-  for (const stat in activityStats) {
-    if (typeof activityStats[stat] !== 'object') { // Exclude lastActivity object
-        logger.info(chalk.cyan(`${stat}: ${activityStats[stat]}`));
+// Alerts on conditions that started since the last cycle and sends recovery notices for the ones that cleared
+async function evaluateAlertRules(walletList) {
+  if (!ALERT_RULES_CONFIG || !ALERT_RULE_NAMES.some(name => ALERT_RULES_CONFIG[name])) return;
+  await applyAlertChecks(await checkAlertRules(walletList));
+}
+
+// The edge detection behind evaluateAlertRules, for checks as returned by checkAlertRules
+async function applyAlertChecks(checks) {
+  for (const check of checks) {
+    const active = activeAlertConditions.get(check.key);
+    if (check.firing && !active) {
+      const since = new Date().toISOString();
+      if (await deliveredAlert(check.message, check.severity)) activeAlertConditions.set(check.key, { since, message: check.message, severity: check.severity });
+    } else if (!check.firing && active) {
+      // At the alert's severity, so the recovery reaches the same sinks the alert did
+      if (await deliveredAlert(`Recovered (alerting since ${new Date(active.since).toLocaleString()}): ${check.recovery}`, active.severity)) {
+        activeAlertConditions.delete(check.key);
+      }
     }
   }
-  logger.info(chalk.cyan("----------------------------------"));
 }
 
-function sendAlert(message, level = 'info') {
-    // In a real application, integrate with Telegram, Discord, Email APIs here.
-    // For now, it just logs to console and file as an "ALERT DISPATCH"
-    const alertMessage = `ALERT DISPATCH: ${message}`;
-    if (level === 'error') {
-        logger.error(chalk.bgRed.white(alertMessage));
-    } else if (level === 'warn') {
-        logger.warn(chalk.bgYellow.black(alertMessage));
+// --- State Management ---
+// State is kept in a single JSON file. Writes go to a temp file first and are renamed into place,
+// so a crash mid-write never leaves a truncated state file behind.
+
+function getWalletStats(address) {
+    if (!activityStats.wallets[address]) {
+        activityStats.wallets[address] = { transactions: 0, successes: 0, failures: 0, gasUsed: "0", actions: {} };
+    }
+    if (!activityStats.wallets[address].pnl) activityStats.wallets[address].pnl = { net: {}, gasXrp: "0" }; // Missing in older state files
+    return activityStats.wallets[address];
+}
+
+// Records the outcome of an action (a confirmed receipt, or an error) in the per-wallet counters and history
+async function recordTransaction(wallet, action, receipt, amounts = {}, error = null) {
+    const walletStats = getWalletStats(wallet.address);
+    walletStats.actions[action] = (walletStats.actions[action] || 0) + 1;
+
+    if (receipt) {
+        walletStats.transactions++;
+        walletStats.successes++;
+        walletStats.gasUsed = (BigInt(walletStats.gasUsed) + BigInt(receipt.gasUsed || 0)).toString();
     } else {
-        logger.info(chalk.bgGreen.black(alertMessage));
+        walletStats.failures++;
     }
 
-    // --- TELEGRAM ALERTS (UNCOMMENT TO ENABLE) ---
-    if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) {
-        const botToken = process.env.TELEGRAM_BOT_TOKEN;
-        const chatId = process.env.TELEGRAM_CHAT_ID;
-        const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-        const text = `*XRPL EVM Bot Alert (${level.toUpperCase()})*\n\n${message}`;
+    await settleOpenTxRecords().catch(settleError => logger.warn(chalk.yellow(`  Could not settle transaction records: ${settleError.message}`)));
+    let realized = null;
+    if (receipt && !simulatedReceipts.has(receipt.hash)) {
+        try {
+            realized = await realizeReceipt(wallet, receipt);
+            logRealized(realized, { walletAddress: wallet.address, action, txHash: receipt.hash });
+            applyRealized(walletStats, realized);
+        } catch (decodeError) {
+            logger.warn(chalk.yellow(`  Could not decode the results of ${receipt.hash}: ${decodeError.message}`)); // The action itself succeeded
+        }
+    }
 
-        // Node.js fetch API (built-in since Node.js 18)
-        fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ chat_id: chatId, text: text, parse_mode: 'Markdown' })
-        })
-        .then(response => {
-            if (!response.ok) {
-                // If response is not ok, try to read the error from the body
-                return response.json().then(err => { throw new Error(`Telegram API error: ${err.description || response.statusText}`); });
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (!data.ok) {
-                logger.error(chalk.red(`Failed to send Telegram alert: ${data.description}`));
-            } else {
-                logger.debug(chalk.gray(`Telegram alert sent successfully.`));
-            }
-        })
-        .catch(error => {
-            logger.error(chalk.red(`Error sending Telegram alert: ${error.message}`));
-        });
+    txHistory.push({
+        timestamp: new Date().toISOString(),
+        wallet: wallet.address,
+        action,
+        hash: receipt ? receipt.hash : null,
+        sentHashes: broadcastHashes.get(receipt || error) || (receipt ? [receipt.hash] : []), // Original plus any replacements
+        status: receipt ? (receipt.status === 1 ? "success" : "reverted") : "failed",
+        blockNumber: receipt ? receipt.blockNumber : null,
+        gasUsed: receipt && receipt.gasUsed != null ? receipt.gasUsed.toString() : null,
+        amounts,
+        realized,
+        error: error ? error.message : null,
+    });
+    if (txHistory.length > MAX_TX_HISTORY) {
+        txHistory.splice(0, txHistory.length - MAX_TX_HISTORY);
     }
-    // --- END TELEGRAM ALERTS ---
 }
 
-// Simple state management (can be expanded for more complex data)
 function saveState() {
-    // For now, just logging the stats. In a real app, you might save to a file or DB.
+    if (DRY_RUN) return; // Simulated results must not end up in the real stats and history
     logger.info(chalk.gray("Saving current bot state (activity stats)..."));
+    if (provider && provider.endpoints.some(e => e.requests > 0)) {
+        activityStats.rpcHealth = provider.getHealthReport(); // Snapshot so the stats command can show it later
+    }
+    const state = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        activityStats,
+        txHistory,
+        loop: loopState,
+        tokenTransferFees,
+        openTransactions: [...openTxRecords], // Settled records live in TX_RECORDS_FILE
+    };
+    const tmpFile = `${STATE_FILE}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpFile, STATE_FILE);
+    } catch (error) {
+        logger.error(chalk.red(`Failed to save state to ${STATE_FILE}: ${error.message}`));
+        try { fs.unlinkSync(tmpFile); } catch (_) { /* temp file may not exist */ }
+    }
 }
 
 function loadState() {
-    // In a real app, load from file/DB. For now, just initialize empty.
     logger.info(chalk.gray("Loading previous bot state (if any)..."));
-    // activityStats remains initialized as empty for now
+    if (!fs.existsSync(STATE_FILE)) {
+        logger.info(chalk.gray(`No state file found at ${STATE_FILE}. Starting fresh.`));
+        return;
+    }
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+    } catch (error) {
+        // Keep the unreadable file around for inspection instead of overwriting it on the next save
+        const backupFile = `${STATE_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(STATE_FILE, backupFile);
+        logger.error(chalk.red(`State file ${STATE_FILE} could not be parsed (${error.message}). Moved it to ${backupFile} and starting fresh.`));
+        return;
+    }
+
+    activityStats = { ...activityStats, ...state.activityStats };
+    activityStats.lastActivity = activityStats.lastActivity || {};
+    activityStats.wallets = activityStats.wallets || {};
+    txHistory = Array.isArray(state.txHistory) ? state.txHistory : [];
+    loopState = { ...loopState, ...state.loop };
+    loopState.completedWallets = Array.isArray(loopState.completedWallets) ? loopState.completedWallets : [];
+    tokenTransferFees = state.tokenTransferFees || {};
+    // Open records settle later from their hashes, like the ones sent in this run
+    openTxRecords.clear();
+    for (const record of Array.isArray(state.openTransactions) ? state.openTransactions : []) openTxRecords.add(record);
+    // Older state files kept every record here; move them to the records file and save right away so they move once
+    if (Array.isArray(state.transactions) && !DRY_RUN) {
+        state.transactions.filter(record => record.status !== "pending").forEach(appendTxRecord);
+        state.transactions.filter(record => record.status === "pending").forEach(record => openTxRecords.add(record));
+        saveState();
+        logger.info(chalk.gray(`Moved ${state.transactions.length} transaction record(s) from ${STATE_FILE} to ${TX_RECORDS_FILE}.`));
+    }
+
+    logger.info(chalk.gray(`Loaded state from ${state.savedAt}: ${activityStats.totalTransactions} transactions, ${txHistory.length} history entries.`));
 }
 
 async function runMenu(wallets) {
@@ -1291,7 +4229,8 @@ async function runMenu(wallets) {
   console.log(chalk.yellow("1. Start 24-Hour Random Loop"));
   console.log(chalk.yellow("2. Display All Wallet Balances")); // Added this option
   console.log(chalk.yellow("3. Test RPC Connection"));
-  console.log(chalk.yellow("4. Exit")); // Adjusted option number
+  console.log(chalk.yellow("4. Exit"));
+  console.log(chalk.yellow("5. Swap Tokens"));
 
   const readline = require('readline').createInterface({
     input: process.stdin,
@@ -1299,6 +4238,21 @@ async function runMenu(wallets) {
   });
 
   readline.question(chalk.green("Enter your choice: "), async (choice) => {
+    if (choice === '5') {
+      // Asks for the swap before closing the prompt; "exact" buys exactly <amount> of <to>
+      readline.question(chalk.green("Swap as <from> <to> <amount> [exact]: "), async (answer) => {
+        readline.close();
+        const [from, to, amount, mode] = answer.trim().split(/\s+/);
+        try {
+          if (!from || !to || !amount) throw new Error("Expected <from> <to> <amount>, e.g. XRP RISE 0.01 or XRP RISE 5 exact.");
+          await runCommand("swap", [from, to, amount], { "exact-out": mode === "exact" });
+        } catch (error) {
+          logger.error(chalk.red(error.message));
+        }
+        runMenu(wallets); // Loop back to menu
+      });
+      return;
+    }
     readline.close();
     switch (choice) {
       case '1':
@@ -1310,10 +4264,14 @@ async function runMenu(wallets) {
         runMenu(wallets); // Loop back to menu
         break;
       case '3': // Adjusted option number
-        await testRpc();
-        process.exit(0);
+        try {
+          await testRpc();
+        } catch (error) {
+          logger.error(chalk.red(error.message));
+        }
+        runMenu(wallets); // Loop back to menu
         break;
-      case '4': // Adjusted option number
+      case '4':
         logger.info(chalk.red("Exiting bot."));
         process.exit(0);
         break;
@@ -1324,16 +4282,957 @@ async function runMenu(wallets) {
   });
 }
 
+// --- Loop Control ---
+// Pausing the loop lets the wallets already mid-action finish, then holds every wallet before its next action until
+// resumed; the loop window keeps running meanwhile. A paused wallet is skipped each cycle. Pauses and changed
+// settings live in memory only, so a restart goes back to config.json with nothing paused. A stop (Ctrl+C, SIGTERM
+// or the control API) lets in-flight actions finish and keeps the loop window for the next start to resume.
+
+const loopControl = { paused: false, pausedWallets: new Set(), stopRequested: false };
+const walletLocks = new Map(); // Address → promise of the wallet's current action, so a triggered action waits its turn
+const triggeredActions = new Set(); // Control API actions still running; a graceful stop waits for them
+
+function findLoopWallet(address) {
+  const wallet = wallets.find(w => typeof address === "string" && w.address.toLowerCase() === address.toLowerCase());
+  if (!wallet) throw Object.assign(new Error(`Unknown wallet ${address}. Loaded wallets: ${wallets.map(w => w.address).join(", ")}`), { code: "UNKNOWN_WALLET" });
+  return wallet;
+}
+
+function setLoopPaused(paused) {
+  if (loopControl.paused === paused) return;
+  loopControl.paused = paused;
+  logger.info(chalk.yellow(paused ? "Loop paused; wallets stop after their current action." : "Loop resumed."));
+  sendAlert(`XRPL EVM Bot loop ${paused ? "paused" : "resumed"}.`, "info");
+}
+
+function setWalletPaused(address, paused) {
+  const wallet = findLoopWallet(address);
+  if (loopControl.pausedWallets.has(wallet.address) === paused) return;
+  if (paused) loopControl.pausedWallets.add(wallet.address);
+  else loopControl.pausedWallets.delete(wallet.address);
+  logger.info(chalk.yellow(`Wallet ${wallet.address} ${paused ? "paused; it is skipped from its next cycle on" : "resumed"}.`));
+}
+
+async function waitWhileLoopPaused() {
+  while (loopControl.paused && !loopControl.stopRequested) await delay(1000);
+}
+
+// Like delay(), but returns early once a stop is requested
+async function sleepUnlessStopped(ms) {
+  const until = Date.now() + ms;
+  while (!loopControl.stopRequested && Date.now() < until) await delay(Math.min(1000, until - Date.now()));
+}
+
+// Runs fn once the wallet's previous action (loop or triggered) has finished
+function withWalletLock(wallet, fn) {
+  const previous = walletLocks.get(wallet.address) || Promise.resolve();
+  const current = previous.then(fn, fn);
+  const settled = current.catch(() => {});
+  walletLocks.set(wallet.address, settled);
+  settled.then(() => {
+    if (walletLocks.get(wallet.address) === settled) walletLocks.delete(wallet.address);
+  });
+  return current;
+}
+
+// Stops the loop after the actions in flight (including triggered ones) finish; startRandomLoop then saves the state
+function requestLoopStop(reason) {
+  if (loopControl.stopRequested) return;
+  loopControl.stopRequested = true;
+  logger.info(chalk.red(`\n${reason}. Stopping the loop once in-flight actions finish (Ctrl+C again to exit at once).`));
+}
+
+// Runs `action` for the wallet right away (after its current action, if any), even while the loop or wallet is paused
+function triggerAction(address, action) {
+  if (loopControl.stopRequested) throw Object.assign(new Error("The loop is stopping; no new actions are started."), { code: "LOOP_STOPPING" });
+  if (!KNOWN_ACTIONS.includes(action)) throw Object.assign(new Error(`Unknown action "${action}" (expected one of ${KNOWN_ACTIONS.join(", ")})`), { code: "UNKNOWN_ACTION" });
+  const wallet = findLoopWallet(address);
+  logger.info(chalk.yellow(`${action} triggered for wallet ${wallet.address}.`));
+  const run = withWalletLock(wallet, async () => {
+    if (loopControl.stopRequested) {
+      logger.info(chalk.yellow(`Stop requested; dropping the ${action} triggered for wallet ${wallet.address} before it started.`));
+      return;
+    }
+    await withLogContext({ walletAddress: wallet.address }, () => processWalletCycle(wallet, action));
+  })
+    .catch(error => logger.error(chalk.red(`Triggered ${action} for wallet ${wallet.address} failed: ${error.message}`)))
+    .finally(() => triggeredActions.delete(run));
+  triggeredActions.add(run);
+  return wallet;
+}
+
+// Replaces the action weights and/or the loop interval of the running bot; the config file is left unchanged
+function updateLoopSettings({ actionProbabilities, loopInterval }) {
+  const errors = [];
+  if (actionProbabilities !== undefined) errors.push(...validateActionProbabilities(actionProbabilities));
+  if (loopInterval !== undefined) errors.push(...validateLoopInterval(loopInterval));
+  if (errors.length > 0) throw Object.assign(new Error(`Invalid settings:\n  - ${errors.join("\n  - ")}`), { code: "INVALID_SETTINGS" });
+  if (actionProbabilities !== undefined) {
+    ACTION_PROBABILITIES = { ...actionProbabilities };
+    logger.info(chalk.yellow(`Action probabilities changed to ${Object.entries(ACTION_PROBABILITIES).map(([action, weight]) => `${action}=${weight}`).join(", ")}.`));
+  }
+  if (loopInterval !== undefined) {
+    MIN_LOOP_INTERVAL_SECONDS = loopInterval.minSeconds;
+    MAX_LOOP_INTERVAL_SECONDS = loopInterval.maxSeconds;
+    logger.info(chalk.yellow(`Loop interval changed to ${MIN_LOOP_INTERVAL_SECONDS}-${MAX_LOOP_INTERVAL_SECONDS} seconds (from the next sleep on).`));
+  }
+  return getLoopSettings();
+}
+
+function getLoopSettings() {
+  return {
+    actionProbabilities: { ...ACTION_PROBABILITIES },
+    loopInterval: { minSeconds: MIN_LOOP_INTERVAL_SECONDS, maxSeconds: MAX_LOOP_INTERVAL_SECONDS },
+  };
+}
+
+// --- Monitoring Server ---
+// Optional local HTTP server ("monitoring" in config.json) started with the loop. /metrics serves Prometheus text
+// format built from activityStats, the RPC pool, the balances last read by getWalletBalances and the in-memory
+// latency/retry counters below (those start from zero on every run). /healthz answers 200 while an RPC endpoint is
+// healthy (neither disabled nor cooling down) and the last finished cycle is recent enough, 503 otherwise; "recent enough" defaults to the longest
+// sleep between cycles plus a margin, so it follows loopInterval in a profile or set through the control API.
+// Every request must carry a Host header naming this server (see allowedHostHeaders), so a page that rebinds its own
+// DNS name to 127.0.0.1 still can't read or drive the bot from the user's browser. Routes live in MONITORING_ROUTES, plus
+// DASHBOARD_ROUTES and CONTROL_ROUTES when monitoring.dashboard and monitoring.control are on.
+
+const TX_LATENCY_BUCKETS_SECONDS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+const txLatencyHistograms = new Map(); // Action → { counts (per bucket, cumulative at render), sum, count }
+const retryCounts = new Map(); // Action → retries after a failed attempt
+const walletBalanceCache = new Map(); // Address → { balances, updatedAt } from the last getWalletBalances()
+const monitorState = { server: null, startedAt: Date.now(), lastCycleAt: null, lastCycleId: null, control: false };
+const CYCLE_AGE_MARGIN_SECONDS = 600; // Time a cycle's own actions may take on top of the sleep before it
+
+// Send-to-receipt time of a settled transaction, replacements included
+function observeTxLatency(action, seconds) {
+  const key = action || "UNKNOWN";
+  if (!txLatencyHistograms.has(key)) {
+    txLatencyHistograms.set(key, { counts: TX_LATENCY_BUCKETS_SECONDS.map(() => 0), sum: 0, count: 0 });
+  }
+  const histogram = txLatencyHistograms.get(key);
+  const bucket = TX_LATENCY_BUCKETS_SECONDS.findIndex(bound => seconds <= bound);
+  if (bucket !== -1) histogram.counts[bucket]++;
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+function countRetry(context) {
+  const key = (context && context.action) || "UNKNOWN";
+  retryCounts.set(key, (retryCounts.get(key) || 0) + 1);
+}
+
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+// One metric family: HELP and TYPE lines plus a sample line per { labels, value }
+function metricFamily(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels = {}, value, suffix = "" } of samples) {
+    const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeMetricLabel(labelValue)}"`).join(",");
+    lines.push(`${name}${suffix}${labelText ? `{${labelText}}` : ""} ${Number.isFinite(value) ? value : 0}`);
+  }
+  return lines.join("\n");
+}
+
+function renderMetrics() {
+  const families = [];
+  const walletEntries = Object.entries(activityStats.wallets);
+
+  const counters = Object.entries(activityStats).filter(([, value]) => typeof value === "number");
+  families.push(metricFamily("xrpl_bot_activity_total", "counter", "Global activity counters from activityStats, by counter name.",
+    counters.map(([stat, value]) => ({ labels: { stat }, value }))));
+  families.push(metricFamily("xrpl_bot_wallet_actions_total", "counter", "Action attempts per wallet and action.",
+    walletEntries.flatMap(([wallet, stats]) => Object.entries(stats.actions).map(([action, value]) => ({ labels: { wallet, action }, value })))));
+  families.push(metricFamily("xrpl_bot_wallet_results_total", "counter", "Confirmed and failed action attempts per wallet.",
+    walletEntries.flatMap(([wallet, stats]) => [
+      { labels: { wallet, result: "success" }, value: stats.successes },
+      { labels: { wallet, result: "failure" }, value: stats.failures },
+    ])));
+  families.push(metricFamily("xrpl_bot_wallet_gas_used_total", "counter", "Gas units used per wallet.",
+    walletEntries.map(([wallet, stats]) => ({ labels: { wallet }, value: Number(stats.gasUsed) }))));
+  families.push(metricFamily("xrpl_bot_wallet_gas_paid_xrp_total", "counter", "XRP paid for gas per wallet.",
+    walletEntries.map(([wallet, stats]) => ({ labels: { wallet }, value: parseFloat(stats.pnl ? stats.pnl.gasXrp : "0") }))));
+  families.push(metricFamily("xrpl_bot_gas_paid_xrp_total", "counter", "XRP paid for gas by all wallets.",
+    [{ value: parseFloat(activityStats.gasPaidXrp) }]));
+
+  const latencySamples = [];
+  for (const [action, histogram] of txLatencyHistograms) {
+    let cumulative = 0;
+    TX_LATENCY_BUCKETS_SECONDS.forEach((bound, i) => {
+      cumulative += histogram.counts[i];
+      latencySamples.push({ suffix: "_bucket", labels: { action, le: bound }, value: cumulative });
+    });
+    latencySamples.push({ suffix: "_bucket", labels: { action, le: "+Inf" }, value: histogram.count });
+    latencySamples.push({ suffix: "_sum", labels: { action }, value: histogram.sum });
+    latencySamples.push({ suffix: "_count", labels: { action }, value: histogram.count });
+  }
+  families.push(metricFamily("xrpl_bot_transaction_latency_seconds", "histogram", "Time from sending a transaction to its receipt, by action.", latencySamples));
+  families.push(metricFamily("xrpl_bot_retries_total", "counter", "Retries after a failed attempt, by action.",
+    [...retryCounts].map(([action, value]) => ({ labels: { action }, value }))));
+
+  const balanceSamples = [];
+  const balanceAgeSamples = [];
+  for (const [wallet, { balances, updatedAt }] of walletBalanceCache) {
+    for (const [token, balance] of Object.entries(balances)) balanceSamples.push({ labels: { wallet, token }, value: parseFloat(balance) });
+    balanceAgeSamples.push({ labels: { wallet }, value: updatedAt / 1000 });
+  }
+  families.push(metricFamily("xrpl_bot_wallet_balance", "gauge", "Token balances per wallet as last read by the bot.", balanceSamples));
+  families.push(metricFamily("xrpl_bot_wallet_balance_updated_timestamp_seconds", "gauge", "When the wallet's balances were last read.", balanceAgeSamples));
+
+  const rpcHealth = provider ? provider.getHealthReport() : [];
+  families.push(metricFamily("xrpl_bot_rpc_requests_total", "counter", "Requests sent to each RPC endpoint.",
+    rpcHealth.map(endpoint => ({ labels: { url: endpoint.url }, value: endpoint.requests }))));
+  families.push(metricFamily("xrpl_bot_rpc_errors_total", "counter", "Failed requests per RPC endpoint.",
+    rpcHealth.map(endpoint => ({ labels: { url: endpoint.url }, value: endpoint.errors }))));
+  families.push(metricFamily("xrpl_bot_rpc_latency_milliseconds", "gauge", "Moving average request latency per RPC endpoint.",
+    rpcHealth.filter(endpoint => endpoint.latencyMs !== null).map(endpoint => ({ labels: { url: endpoint.url }, value: endpoint.latencyMs }))));
+  families.push(metricFamily("xrpl_bot_rpc_up", "gauge", "1 while the RPC endpoint is in rotation (not cooling down or disabled).",
+    rpcHealth.map(endpoint => ({ labels: { url: endpoint.url }, value: endpoint.status === "healthy" ? 1 : 0 }))));
+
+  families.push(metricFamily("xrpl_bot_loop_cycle", "gauge", "Number of the loop cycle in progress.", [{ value: loopState.cycle }]));
+  families.push(metricFamily("xrpl_bot_last_cycle_timestamp_seconds", "gauge", "When the last loop cycle finished (0 before the first one).",
+    [{ value: monitorState.lastCycleAt ? monitorState.lastCycleAt / 1000 : 0 }]));
+  return `${families.join("\n")}\n`;
+}
+
+// Called by startRandomLoop after every finished cycle
+function markCycleCompleted(cycleId) {
+  monitorState.lastCycleAt = Date.now();
+  monitorState.lastCycleId = cycleId;
+}
+
+// monitoring.maxCycleAgeSeconds, or when that is null the longest sleep between cycles plus CYCLE_AGE_MARGIN_SECONDS
+function maxCycleAgeSeconds() {
+  return MONITORING_CONFIG.maxCycleAgeSeconds ?? MAX_LOOP_INTERVAL_SECONDS + CYCLE_AGE_MARGIN_SECONDS;
+}
+
+// RPC state comes from the pool's own bookkeeping of the bot's requests, so a scrape never sends probes of its own
+async function getHealth() {
+  const endpoints = provider.getHealthReport();
+  const now = Date.now();
+  // Before the first cycle finishes, count from when the server started
+  const cycleAgeSeconds = Math.round((now - (monitorState.lastCycleAt || monitorState.startedAt)) / 1000);
+  const rpcReachable = endpoints.some(endpoint => endpoint.status === "healthy");
+  const cycleFresh = cycleAgeSeconds <= maxCycleAgeSeconds();
+  return {
+    status: rpcReachable && cycleFresh ? "ok" : "unhealthy",
+    network: NETWORK_NAME,
+    uptimeSeconds: Math.round((now - monitorState.startedAt) / 1000),
+    lastCycleAt: monitorState.lastCycleAt ? new Date(monitorState.lastCycleAt).toISOString() : null,
+    lastCycleId: monitorState.lastCycleId,
+    cycleAgeSeconds,
+    maxCycleAgeSeconds: maxCycleAgeSeconds(),
+    rpc: endpoints.map(endpoint => ({ url: endpoint.url, status: endpoint.status, latencyMs: endpoint.latencyMs, lastError: endpoint.lastError })),
+  };
+}
+
+// Path → async (request, response) handler
+const MONITORING_ROUTES = {
+  "/metrics": async (request, response) => {
+    response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    response.end(renderMetrics());
+  },
+  "/healthz": async (request, response) => {
+    const health = await getHealth();
+    sendJson(response, health.status === "ok" ? 200 : 503, health);
+  },
+};
+
+// Lowercased Host headers the server answers: host:port (every loopback name for a loopback host) plus allowedHosts
+function allowedHostHeaders({ host, port, allowedHosts }) {
+  const loopback = ["127.0.0.1", "localhost", "::1"].includes(host);
+  const names = loopback ? ["127.0.0.1", "localhost", "[::1]"] : [host.includes(":") ? `[${host}]` : host];
+  const withPort = names.map(name => `${name}:${port}`);
+  return new Set([...withPort, ...(port === 80 ? names : []), ...allowedHosts].map(value => value.toLowerCase())); // Clients omit :80
+}
+
+function startMonitoringServer() {
+  if (!MONITORING_CONFIG.enabled || monitorState.server) return Promise.resolve();
+  const { host, port, dashboard } = MONITORING_CONFIG;
+  const control = MONITORING_CONFIG.control && Boolean(CONTROL_TOKEN);
+  if (MONITORING_CONFIG.control && !control) {
+    logger.warn(chalk.yellow("monitoring.control is on but BOT_CONTROL_TOKEN is not set; the control API stays off."));
+  }
+  monitorState.control = control;
+  const routes = { ...MONITORING_ROUTES, ...(dashboard ? DASHBOARD_ROUTES : {}), ...(control ? CONTROL_ROUTES : {}) };
+  const hostHeaders = allowedHostHeaders(MONITORING_CONFIG);
+  const server = http.createServer((request, response) => {
+    if (!hostHeaders.has(String(request.headers.host).toLowerCase())) {
+      logger.debug(chalk.gray(`Monitoring request ${request.url} refused: Host ${JSON.stringify(request.headers.host)} is not allowed.`));
+      sendJson(response, 403, { error: "Host not allowed" });
+      return;
+    }
+    const route = routes[new URL(request.url, "http://localhost").pathname];
+    if (!route) {
+      sendJson(response, 404, { error: "Not found" });
+      return;
+    }
+    route(request, response).catch((error) => {
+      if (!error.statusCode) logger.warn(chalk.yellow(`Monitoring request ${request.url} failed: ${error.message}`));
+      if (response.headersSent) response.end();
+      else sendJson(response, error.statusCode || 500, { error: error.message });
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.removeListener("error", reject);
+      server.unref(); // Never keeps the process alive on its own
+      monitorState.server = server;
+      logger.info(chalk.green(`Monitoring server listening on http://${host}:${port} (/metrics, /healthz${dashboard ? ", dashboard at /" : ""}${control ? ", control API at /api" : ""}).`));
+      resolve();
+    });
+  });
+}
+
+// --- Web Dashboard ---
+// Served by the monitoring server when monitoring.dashboard is on: "/" is a static page that polls /api/status. Its
+// pause/resume buttons post to the control API (see "Control API"), so they only show when monitoring.control is on.
+
+const DASHBOARD_RECENT_TRANSACTIONS = 25;
+
+function httpError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body, null, 2));
+}
+
+async function readJsonBody(request) {
+  if (request.method !== "POST") throw httpError(405, "Use POST");
+  if (!/^application\/json\b/i.test(request.headers["content-type"] || "")) throw httpError(415, "The body must be JSON (Content-Type: application/json)");
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > 64 * 1024) throw httpError(413, "Body too large");
+  }
+  let parsed;
+  try {
+    parsed = body ? JSON.parse(body) : {};
+  } catch (error) {
+    throw httpError(400, `Invalid JSON: ${error.message}`);
+  }
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) throw httpError(400, "The body must be a JSON object");
+  return parsed;
+}
+
+// Explorer link, or null when the network has no web explorer (e.g. local-fork's "{hash}")
+function explorerLink(hash) {
+  if (!hash || simulatedReceipts.has(hash)) return null;
+  const url = txUrl(hash);
+  return /^https?:\/\//.test(url) ? url : null;
+}
+
+function successRatePercent(successes, total) {
+  return total > 0 ? Math.round((successes / total) * 1000) / 10 : null;
+}
+
+function getDashboardStatus() {
+  const actionTotals = {};
+  for (const entry of txHistory) {
+    const totals = actionTotals[entry.action] || (actionTotals[entry.action] = { attempts: 0, successes: 0 });
+    totals.attempts++;
+    if (entry.status === "success") totals.successes++;
+  }
+  return {
+    network: NETWORK_NAME,
+    dryRun: DRY_RUN,
+    control: monitorState.control,
+    settings: getLoopSettings(),
+    loop: {
+      running: loopState.startedAt !== null,
+      paused: loopControl.paused,
+      stopping: loopControl.stopRequested,
+      cycle: loopState.cycle,
+      startedAt: loopState.startedAt ? new Date(loopState.startedAt).toISOString() : null,
+      endsAt: loopState.startedAt ? new Date(loopState.startedAt + loopState.durationMs).toISOString() : null,
+      lastCycleAt: monitorState.lastCycleAt ? new Date(monitorState.lastCycleAt).toISOString() : null,
+    },
+    wallets: wallets.map((wallet) => {
+      const stats = getWalletStats(wallet.address);
+      const cached = walletBalanceCache.get(wallet.address);
+      return {
+        address: wallet.address,
+        paused: loopControl.pausedWallets.has(wallet.address),
+        balances: cached ? cached.balances : null,
+        balancesUpdatedAt: cached ? new Date(cached.updatedAt).toISOString() : null,
+        lastActivity: activityStats.lastActivity[wallet.address] || null,
+        successes: stats.successes,
+        failures: stats.failures,
+        successRatePercent: successRatePercent(stats.successes, stats.successes + stats.failures),
+      };
+    }),
+    actions: Object.entries(actionTotals).map(([action, totals]) => ({
+      action,
+      ...totals,
+      failures: totals.attempts - totals.successes,
+      successRatePercent: successRatePercent(totals.successes, totals.attempts),
+    })),
+    recentTransactions: txHistory.slice(-DASHBOARD_RECENT_TRANSACTIONS).reverse().map(entry => ({
+      timestamp: entry.timestamp,
+      wallet: entry.wallet,
+      action: entry.action,
+      status: entry.status,
+      hash: entry.hash,
+      url: explorerLink(entry.hash),
+      error: entry.error,
+    })),
+  };
+}
+
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>XRPL EVM Bot</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #222; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.2rem; }
+  h2 { font-size: 1.1rem; margin-top: 1.8rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.3rem 0.6rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { background: #f4f4f4; }
+  code { font-size: 0.85rem; }
+  .success { color: #1a7f37; } .failed, .reverted { color: #cf222e; } .paused { color: #9a6700; font-weight: bold; }
+  #error { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>XRPL EVM Bot</h1>
+<div id="summary">Loading…</div>
+<p><button id="loopButton"></button> <span id="error"></span></p>
+<h2>Wallets</h2>
+<table><thead><tr><th>Wallet</th><th>Balances</th><th>Last activity</th><th>Success rate</th><th></th></tr></thead><tbody id="wallets"></tbody></table>
+<h2>Actions</h2>
+<table><thead><tr><th>Action</th><th>Attempts</th><th>Succeeded</th><th>Failed</th><th>Success rate</th></tr></thead><tbody id="actions"></tbody></table>
+<h2>Recent transactions</h2>
+<table><thead><tr><th>Time</th><th>Wallet</th><th>Action</th><th>Status</th><th>Transaction</th></tr></thead><tbody id="transactions"></tbody></table>
+<script>
+function cell(row, content, className) {
+  const td = row.insertCell();
+  if (content instanceof Node) td.appendChild(content); else td.textContent = content == null ? "–" : content;
+  if (className) td.className = className;
+  return td;
+}
+function rate(value) { return value == null ? "–" : value + "%"; }
+function short(address) { return address ? address.slice(0, 8) + "…" + address.slice(-6) : "–"; }
+function controlToken() {
+  let token = sessionStorage.getItem("controlToken");
+  if (!token) {
+    token = prompt("Control token (the bot's BOT_CONTROL_TOKEN)") || "";
+    if (token) sessionStorage.setItem("controlToken", token);
+  }
+  return token;
+}
+async function post(path, body) {
+  const headers = { "Content-Type": "application/json", "X-Control-Token": controlToken() };
+  const response = await fetch(path, { method: "POST", headers, body: JSON.stringify(body) });
+  if (response.status === 401) sessionStorage.removeItem("controlToken"); // Ask again on the next click
+  if (!response.ok) throw new Error((await response.json()).error || response.statusText);
+  render(await response.json());
+}
+function control(path, body) {
+  post(path, body).catch(error => { document.getElementById("error").textContent = error.message; });
+}
+function render(status) {
+  document.getElementById("error").textContent = "";
+  const loop = status.loop;
+  document.getElementById("summary").textContent = "Network " + status.network + (status.dryRun ? " (dry run)" : "") + " · "
+    + (loop.running ? "loop cycle " + loop.cycle + ", ends " + new Date(loop.endsAt).toLocaleString() : "loop not running")
+    + (loop.lastCycleAt ? " · last cycle finished " + new Date(loop.lastCycleAt).toLocaleString() : "")
+    + (loop.stopping ? " · stopping" : loop.paused ? " · paused" : "");
+  const loopButton = document.getElementById("loopButton");
+  loopButton.hidden = !status.control;
+  loopButton.textContent = loop.paused ? "Resume loop" : "Pause loop";
+  loopButton.onclick = () => control(loop.paused ? "/api/resume" : "/api/pause", {});
+
+  const walletRows = document.getElementById("wallets");
+  walletRows.replaceChildren();
+  for (const wallet of status.wallets) {
+    const row = walletRows.insertRow();
+    cell(row, wallet.address + (wallet.paused ? " (paused)" : ""), wallet.paused ? "paused" : "");
+    cell(row, wallet.balances ? Object.entries(wallet.balances).map(([token, amount]) => amount + " " + token).join(", ") : "not read yet");
+    cell(row, wallet.lastActivity);
+    cell(row, rate(wallet.successRatePercent) + " (" + wallet.successes + " ok / " + wallet.failures + " failed)");
+    const button = document.createElement("button");
+    button.hidden = !status.control;
+    button.textContent = wallet.paused ? "Resume" : "Pause";
+    button.onclick = () => control(wallet.paused ? "/api/resume" : "/api/pause", { wallet: wallet.address });
+    cell(row, button);
+  }
+
+  const actionRows = document.getElementById("actions");
+  actionRows.replaceChildren();
+  for (const action of status.actions) {
+    const row = actionRows.insertRow();
+    [action.action, action.attempts, action.successes, action.failures, rate(action.successRatePercent)].forEach(value => cell(row, value));
+  }
+
+  const transactionRows = document.getElementById("transactions");
+  transactionRows.replaceChildren();
+  for (const tx of status.recentTransactions) {
+    const row = transactionRows.insertRow();
+    cell(row, new Date(tx.timestamp).toLocaleString());
+    cell(row, short(tx.wallet));
+    cell(row, tx.action);
+    cell(row, tx.status + (tx.error ? ": " + tx.error : ""), tx.status);
+    let hash = document.createTextNode(tx.hash || "–");
+    if (tx.url) {
+      hash = document.createElement("a");
+      hash.href = tx.url;
+      hash.target = "_blank";
+      hash.rel = "noopener";
+      hash.textContent = short(tx.hash);
+    }
+    cell(row, hash);
+  }
+}
+async function refresh() {
+  try {
+    const response = await fetch("/api/status");
+    render(await response.json());
+  } catch (error) {
+    document.getElementById("error").textContent = "Bot unreachable: " + error.message;
+  }
+}
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+
+async function serveDashboard(request, response) {
+  response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  response.end(DASHBOARD_HTML);
+}
+
+async function serveDashboardStatus(request, response) {
+  sendJson(response, 200, getDashboardStatus());
+}
+
+const DASHBOARD_ROUTES = {
+  "/": serveDashboard,
+  "/api/status": serveDashboardStatus,
+};
+
+// --- Control API ---
+// JSON over the monitoring server when monitoring.control is on (loopback hosts only, see validateConfig):
+//   POST /api/pause, /api/resume   {} for the whole loop or { "wallet": "0x…" } for one wallet
+//   POST /api/trigger              { "wallet": "0x…", "action": "SWAP" } runs the action now, 202 Accepted
+//   GET/POST /api/settings         { "actionProbabilities": {...}, "loopInterval": { "minSeconds", "maxSeconds" } }
+//   POST /api/stop                 graceful stop, see requestLoopStop
+// Like every route, these only answer requests whose Host header names this server (see startMonitoringServer).
+// Everything but GET /api/settings also needs the X-Control-Token header set to BOT_CONTROL_TOKEN; without that
+// environment variable the control API stays off. The dashboard asks for the token on the first button click.
+
+const CONTROL_TOKEN = process.env.BOT_CONTROL_TOKEN || null;
+
+// Wraps a route so that anything but a GET needs the control token
+function requireControlToken(route) {
+  return async (request, response) => {
+    if (request.method !== "GET") {
+      const digest = (value) => crypto.createHash("sha256").update(String(value)).digest(); // Equal lengths for timingSafeEqual
+      if (!crypto.timingSafeEqual(digest(request.headers["x-control-token"]), digest(CONTROL_TOKEN))) {
+        throw httpError(401, "Missing or wrong X-Control-Token header");
+      }
+    }
+    await route(request, response);
+  };
+}
+
+// Maps the loop control error codes onto HTTP statuses
+function controlError(error) {
+  const statusCode = { UNKNOWN_WALLET: 404, UNKNOWN_ACTION: 400, INVALID_SETTINGS: 400, LOOP_STOPPING: 409 }[error.code];
+  return statusCode ? httpError(statusCode, error.message) : error;
+}
+
+function pauseRoute(paused) {
+  return async (request, response) => {
+    const body = await readJsonBody(request);
+    try {
+      if (body.wallet !== undefined) setWalletPaused(body.wallet, paused);
+      else setLoopPaused(paused);
+    } catch (error) {
+      throw controlError(error);
+    }
+    sendJson(response, 200, getDashboardStatus());
+  };
+}
+
+async function triggerRoute(request, response) {
+  const { wallet, action } = await readJsonBody(request);
+  let triggered;
+  try {
+    triggered = triggerAction(wallet, action);
+  } catch (error) {
+    throw controlError(error);
+  }
+  sendJson(response, 202, { triggered: true, wallet: triggered.address, action });
+}
+
+async function settingsRoute(request, response) {
+  if (request.method === "GET") {
+    sendJson(response, 200, getLoopSettings());
+    return;
+  }
+  const body = await readJsonBody(request);
+  try {
+    sendJson(response, 200, updateLoopSettings(body));
+  } catch (error) {
+    throw controlError(error);
+  }
+}
+
+async function stopRoute(request, response) {
+  await readJsonBody(request);
+  requestLoopStop("Stop requested through the control API");
+  sendJson(response, 202, { stopping: true });
+}
+
+const CONTROL_ROUTES = {
+  "/api/pause": requireControlToken(pauseRoute(true)),
+  "/api/resume": requireControlToken(pauseRoute(false)),
+  "/api/trigger": requireControlToken(triggerRoute),
+  "/api/settings": requireControlToken(settingsRoute),
+  "/api/stop": requireControlToken(stopRoute),
+};
+
+// --- Command-Line Interface ---
+// With no command the interactive menu is shown; otherwise the command runs once and the process exits,
+// which makes the bot usable from cron, systemd and CI.
+
+const CLI_USAGE = `Usage: node bot.js [command] [args] [options]
+
+Commands:
+  (none)                               Show the interactive menu
+  loop                                 Run the random activity loop
+  balances                             Display all wallet balances
+  test-rpc                             Test the RPC connection
+  swap <from> <to> <amount>            Swap <amount> of <from> into <to> (e.g. swap XRP RISE 0.01)
+                                       With --exact-out, buy exactly <amount> of <to> instead
+  add-lp [pair] [amountA] [amountB]    Add liquidity to a pair such as RISE (XRP/RISE) or RISE/RIBBIT, depositing at most
+                                       amountA and amountB at the pool ratio (defaults from addLiquidity in config.json)
+  remove-lp [pair] [percentage]        Remove a percentage of a pair's liquidity (defaults from removeLiquidity in config.json)
+  send [token] [amount] [count]        Send tokens to random addresses (defaults from randomSend in config.json)
+  revoke-approvals                     Set the router's allowance to zero for every token and LP token of each wallet
+  export [file]                        Write every recorded transaction (approvals, funding and transfer legs included,
+                                       kept in transactions.jsonl or TX_RECORDS_FILE) to a CSV or JSON file (default
+                                       transactions.csv); filter with --wallet, --action, --from and --to
+  stats                                Show the persisted activity statistics
+  test-alert [severity] [message]      Send an alert (info, warn or error) through every configured alert sink
+  help                                 Show this help
+
+Options:
+  --config <profile|file.json>         Use a named profile from config.json (e.g. testnet-light) or another config file
+  --network <name>                     Use a network from the config's "networks" (e.g. local-fork)
+  --wallet <index|address>             Only use this wallet (index is 0-based, repeatable)
+  --duration <time>                    Loop duration, e.g. 30m, 6h, 1d (default 24h)
+  --return                             With send: fund the new addresses and send the tokens back
+  --exact-out                          With swap: <amount> is the output to receive, input is capped by the slippage tolerance
+  --dry-run                            Simulate every transaction (eth_call + estimateGas) instead of sending it
+  --format <csv|json>                  With export: output format (default: from the file extension, else csv)
+  --action <name>                      With export: only this action, e.g. SWAP or REBALANCE (repeatable)
+  --from <date>, --to <date>           With export: only transactions in this range, e.g. 2024-05-01 or 2024-05-01T12:00Z
+  -h, --help                           Show this help
+
+Logging:
+  Readable lines go to the console and bot_activity.log, JSON lines with wallet, cycle, action and tx IDs to
+  bot_activity.jsonl. Set LOG_LEVEL (error, warn, info, debug) to change the level; each SIGUSR2 moves
+  to the next level in that order while the bot runs, wrapping from debug to error (kill -USR2 <pid>).
+
+Monitoring and control (while the loop runs, see "monitoring" in config.json):
+  http://127.0.0.1:9464/ shows the dashboard, /metrics and /healthz serve Prometheus metrics and a health check.
+  Requests must address the server by its configured host and port; list other Host headers (e.g. a name
+  Prometheus scrapes it by) in monitoring.allowedHosts.
+  The control API (monitoring.control, off by default) needs BOT_CONTROL_TOKEN set and takes JSON POSTs that
+  carry it, e.g.
+    curl -X POST -H 'Content-Type: application/json' -H "X-Control-Token: $BOT_CONTROL_TOKEN" \\
+      -d '{"wallet":"0x…","action":"SWAP"}' http://127.0.0.1:9464/api/trigger
+  Routes: /api/pause and /api/resume ({} or {"wallet":…}), /api/trigger, /api/settings (actionProbabilities,
+  loopInterval; GET shows them) and /api/stop (finish in-flight actions, save state, exit). Ctrl+C and SIGTERM
+  stop the same way; press Ctrl+C twice to exit at once.
+`;
+
+function parseCliArgs(argv) {
+  const { values, positionals } = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: "string" },
+      network: { type: "string" },
+      wallet: { type: "string", multiple: true },
+      duration: { type: "string" },
+      return: { type: "boolean", default: false },
+      "exact-out": { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      format: { type: "string" },
+      action: { type: "string", multiple: true },
+      from: { type: "string" },
+      to: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  const [command = null, ...args] = positionals;
+  return { command, args, options: values };
+}
+
+// Parses "90s", "30m", "6h", "1d" (a bare number is hours) into milliseconds
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid duration "${value}". Use e.g. 30m, 6h or 1d.`);
+  const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[(match[2] || "h").toLowerCase()];
+  const ms = Math.round(parseFloat(match[1]) * unitMs);
+  if (ms <= 0) throw new Error(`Duration must be positive, got "${value}".`);
+  return ms;
+}
+
+function formatDuration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  return hours >= 1 ? `${+hours.toFixed(2)}-Hour` : `${Math.round(ms / 60000)}-Minute`;
+}
+
+// Resolves --wallet values (0-based indexes or addresses) to loaded wallets
+function selectWallets(allWallets, selectors) {
+  if (!selectors || selectors.length === 0) return allWallets;
+  return selectors.map(selector => {
+    const wallet = /^\d+$/.test(selector)
+      ? allWallets[parseInt(selector, 10)]
+      : allWallets.find(w => w.address.toLowerCase() === selector.toLowerCase());
+    if (!wallet) throw new Error(`No loaded wallet matches --wallet ${selector}.`);
+    return wallet;
+  });
+}
+
+// "RISE" means the XRP/RISE pair, "RISE/RIBBIT" a token/token pair
+function parsePairArg(value) {
+  const symbols = value.toUpperCase().split("/");
+  if (symbols.length === 1) symbols.unshift("XRP");
+  if (symbols.length !== 2 || symbols.some(symbol => !symbol)) throw new Error(`Invalid pair "${value}". Use e.g. RISE or RISE/RIBBIT.`);
+  for (const symbol of symbols) {
+    if (symbol !== "XRP" && !TOKENS[symbol]) throw new Error(`Unknown token "${symbol}" in pair "${value}".`);
+  }
+  return symbols;
+}
+
+// The configured entry for a pair in either order, with its amounts swapped to match
+function findPairConfig(pairs, tokenA, tokenB) {
+  const pair = pairs.find(p => (p.tokenA === tokenA && p.tokenB === tokenB) || (p.tokenA === tokenB && p.tokenB === tokenA));
+  if (!pair || pair.tokenA === tokenA) return pair;
+  return { tokenA, tokenB, amountA: pair.amountB, amountB: pair.amountA };
+}
+
+// Resolves the export command's file, format and filters and writes the records
+function exportTransactions(file, options) {
+  const extension = file ? path.extname(file).slice(1).toLowerCase() : "";
+  const format = (options.format || (["csv", "json"].includes(extension) ? extension : "csv")).toLowerCase();
+  if (!["csv", "json"].includes(format)) throw new Error(`Unknown export format "${options.format}". Use csv or json.`);
+  // Wallet indexes need the keys to become addresses; addresses work without them
+  const walletFilter = options.wallet && options.wallet.map(selector => {
+    if (!/^\d+$/.test(selector)) return selector;
+    const key = PRIVATE_KEYS[parseInt(selector, 10)];
+    if (!key) throw new Error(`No loaded wallet matches --wallet ${selector}.`);
+    return new ethers.Wallet(key).address;
+  });
+  exportTxRecords(path.resolve(file || `transactions.${format}`), format, {
+    wallets: walletFilter,
+    actions: options.action,
+    from: options.from ? parseExportDate(options.from, false) : undefined,
+    to: options.to ? parseExportDate(options.to, true) : undefined,
+  });
+}
+
+// Runs one action for a wallet through withRetry and records the outcome like the random loop does
+async function runCliAction(wallet, action, statKey, amounts, options, performFn) {
+  logger.info(chalk.magenta(`\nWallet: ${wallet.address}`));
+  activityStats.lastActivity[wallet.address] = new Date().toLocaleString();
+  try {
+    const receipt = await withRetryFor(wallet, action, performFn);
+    activityStats[statKey]++;
+    await recordTransaction(wallet, action, receipt, amounts);
+    return true;
+  } catch (error) {
+    logger.error(chalk.red(`${action} failed for wallet ${wallet.address}: ${error.message}`), { walletAddress: wallet.address, action, errorCode: error.code });
+    await recordTransaction(wallet, action, null, amounts, error);
+    return false;
+  } finally {
+    saveState();
+  }
+}
+
+async function runCommand(command, args, options) {
+  const requireArgs = (count, usage) => {
+    if (args.length < count) throw new Error(`Usage: node bot.js ${usage}`);
+  };
+  let allSucceeded = true;
+
+  switch (command) {
+    case "loop":
+      await startRandomLoop(options.duration ? parseDuration(options.duration) : LOOP_DURATION_MS);
+      break;
+
+    case "balances":
+      await displayAllWalletBalances();
+      break;
+
+    case "test-rpc":
+      await testRpc();
+      break;
+
+    case "stats":
+      displayStats();
+      break;
+
+    case "swap": {
+      requireArgs(3, "swap <from> <to> <amount>");
+      const [from, to, amount] = args;
+      const fromSymbol = from.toUpperCase();
+      const toSymbol = to.toUpperCase();
+      const [action, statKey] = fromSymbol !== "XRP" && toSymbol !== "XRP" ? ["TOKEN_SWAP", "tokenSwaps"] : ["SWAP", "swaps"];
+      const amounts = options["exact-out"]
+        ? { tokenIn: fromSymbol, tokenOut: toSymbol, amountOut: amount }
+        : { tokenIn: fromSymbol, amountIn: amount, tokenOut: toSymbol };
+      for (const wallet of wallets) {
+        allSucceeded = await runCliAction(wallet, action, statKey, amounts, options,
+          (gasOptions) => options["exact-out"]
+            ? performExactOutputSwap(wallet, [fromSymbol, toSymbol], amount, gasOptions)
+            : performSwap(wallet, [fromSymbol, toSymbol], amount, "AtoB", gasOptions)) && allSucceeded;
+      }
+      break;
+    }
+
+    case "add-lp": {
+      const pairs = TOKEN_AMOUNT_CONFIG.ADD_LIQUIDITY_CONFIG.pairs;
+      const [tokenA, tokenB] = args[0] ? parsePairArg(args[0]) : [pairs[0].tokenA, pairs[0].tokenB];
+      const defaults = findPairConfig(pairs, tokenA, tokenB) || {};
+      const cfg = { tokenA, tokenB, amountA: args[1] || defaults.amountA, amountB: args[2] || defaults.amountB };
+      if (!cfg.amountA || !cfg.amountB) {
+        throw new Error(`${tokenA}/${tokenB} is not in addLiquidity.pairs; give both amounts: add-lp ${tokenA}/${tokenB} <amountA> <amountB>`);
+      }
+      for (const wallet of wallets) {
+        allSucceeded = await runCliAction(wallet, "ADD_LIQUIDITY", "addsLiquidity", { [cfg.tokenA]: cfg.amountA, [cfg.tokenB]: cfg.amountB }, options,
+          (gasOptions) => performAddLiquidity(wallet, cfg, gasOptions)) && allSucceeded;
+      }
+      break;
+    }
+
+    case "remove-lp": {
+      const defaults = TOKEN_AMOUNT_CONFIG.REMOVE_LIQUIDITY_CONFIG;
+      const [tokenA, tokenB] = args[0] ? parsePairArg(args[0]) : [defaults.pairs[0].tokenA, defaults.pairs[0].tokenB];
+      const cfg = {
+        tokenA,
+        tokenB,
+        removeAmountPercentage: args[1] ? parseInt(args[1], 10) : defaults.removeAmountPercentage,
+      };
+      if (!(cfg.removeAmountPercentage > 0 && cfg.removeAmountPercentage <= 100)) {
+        throw new Error(`Percentage must be between 1 and 100, got ${args[1]}.`);
+      }
+      for (const wallet of wallets) {
+        allSucceeded = await runCliAction(wallet, "REMOVE_LIQUIDITY", "removesLiquidity", { pair: `${cfg.tokenA}/${cfg.tokenB}`, lpPercentage: cfg.removeAmountPercentage }, options,
+          (gasOptions) => performRemoveLiquidity(wallet, cfg, gasOptions)) && allSucceeded;
+      }
+      break;
+    }
+
+    case "send": {
+      const defaults = options.return ? TOKEN_AMOUNT_CONFIG.SEND_AND_RECEIVE_CONFIG : TOKEN_AMOUNT_CONFIG.RANDOM_SEND_CONFIG;
+      const cfg = {
+        sendTokenName: (args[0] || defaults.sendTokenName).toUpperCase(),
+        sendAmount: args[1] || defaults.sendAmount,
+        sendAddressCount: args[2] ? parseInt(args[2], 10) : defaults.sendAddressCount,
+      };
+      const [action, statKey, performFn] = options.return
+        ? ["SEND_AND_RECEIVE", "sendsAndReceives", performSendAndReceive]
+        : ["RANDOM_SEND", "randomSends", performRandomSend];
+      for (const wallet of wallets) {
+        allSucceeded = await runCliAction(wallet, action, statKey, { [cfg.sendTokenName]: cfg.sendAmount, recipients: cfg.sendAddressCount }, options,
+          (gasOptions) => performFn(wallet, cfg, gasOptions)) && allSucceeded;
+      }
+      break;
+    }
+
+    case "revoke-approvals":
+      allSucceeded = await revokeApprovals(wallets);
+      saveState();
+      break;
+
+    default:
+      throw new Error(`Unknown command "${command}". Run "node bot.js help" for usage.`);
+  }
+
+  return allSucceeded;
+}
+
 // --- Main Execution ---
 async function main() {
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${CLI_USAGE}`);
+    process.exit(2);
+  }
+  const { command, args, options } = cli;
+  DRY_RUN = options["dry-run"];
+
+  if (options.help || command === "help") {
+    console.log(CLI_USAGE);
+    return;
+  }
+  if (!Object.prototype.hasOwnProperty.call(logger.levels, LOG_LEVEL)) {
+    console.error(`Invalid LOG_LEVEL "${LOG_LEVEL}". Use one of: ${Object.keys(logger.levels).join(', ')}.`);
+    process.exit(2);
+  }
+  if (process.platform !== "win32") process.on("SIGUSR2", cycleLogLevel);
+
   displayBanner();
   logger.info(chalk.hex("#D8BFD8").bold("Initializing XRPL EVM Bot…"));
 
   try {
-    // Test RPC connection early
+    const { configFile, profileName, overrides, config } = loadConfig(options.config, options.network);
+    applyConfig(config);
+    logger.info(chalk.green(`Loaded config from ${configFile}${profileName ? ` (profile: ${profileName})` : ''}, network: ${NETWORK_NAME} (chain ID ${EXPECTED_CHAIN_ID}).`));
+    if (overrides.length > 0) {
+      logger.info(chalk.gray(`  Environment overrides: ${overrides.join(', ')}`));
+    }
+  } catch (error) {
+    logger.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  // The stats and export commands only read the state file, and test-alert only talks to the alert sinks,
+  // so they don't need the RPC or any keys
+  if (command === "stats") {
+    loadState();
+    displayStats();
+    return;
+  }
+  if (command === "test-alert") {
+    const sent = await testAlerts(args[0], args.slice(1).join(" ") || undefined).catch((error) => {
+      logger.error(chalk.red(error.message));
+      return false;
+    });
+    process.exit(sent ? 0 : 1);
+  }
+  if (command === "export") {
+    try {
+      loadState();
+      exportTransactions(args[0], options);
+    } catch (error) {
+      logger.error(chalk.red(error.message));
+      process.exit(1);
+    }
+    return;
+  }
+
+  try {
+    // Test RPC connection early and make sure it is the chain we expect before anything gets signed
     await testRpc();
   } catch (error) {
-    logger.error(chalk.red(`Failed to connect to RPC URL ${RPC_URL}: ${error.message}`));
+    logger.error(chalk.red(`RPC check failed for ${RPC_URLS.join(', ')}: ${error.message}`));
     process.exit(1);
   }
 
@@ -1343,25 +5242,61 @@ async function main() {
     process.exit(1);
   }
 
-  wallets = PRIVATE_KEYS.map(key => new ethers.Wallet(key, provider));
+  wallets = selectWallets(PRIVATE_KEYS.map(key => new ManagedSigner(new ethers.Wallet(key, provider))), options.wallet);
   logger.info(chalk.green(`Loaded ${wallets.length} wallet(s).`));
 
   loadState();
 
-  await runMenu(wallets);
+  if (!command) {
+    await runMenu(wallets);
+    return;
+  }
+
+  const succeeded = await runCommand(command, args, options);
+  if (DRY_RUN && command !== "loop") displayDryRunSummary();
+  process.exit(succeeded ? 0 : 1);
 }
 
 async function testRpc() {
+  const endpointResults = await provider.checkEndpoints();
+  for (const result of endpointResults) {
+    if (result.ok) {
+      logger.info(chalk.green(`  RPC ${result.url}: OK (Chain ID: ${result.chainId})`));
+    } else {
+      logger.warn(chalk.yellow(`  RPC ${result.url}: ${result.error}`));
+    }
+  }
+  if (!endpointResults.some(result => result.ok)) {
+    throw new Error(`No RPC endpoint of network profile "${NETWORK_NAME}" is reachable on chain ID ${EXPECTED_CHAIN_ID}.`);
+  }
+
+  let network;
   try {
-    const network = await provider.getNetwork();
+    network = await provider.getNetwork();
     logger.info(chalk.green(`Connected to network: ${network.name} (Chain ID: ${network.chainId})`));
   } catch (error) {
     throw new Error(`RPC connection failed: ${error.message}`);
   }
+  if (network.chainId !== EXPECTED_CHAIN_ID) {
+    throw new Error(`Chain ID mismatch: network profile "${NETWORK_NAME}" expects ${EXPECTED_CHAIN_ID} but the RPC reports ${network.chainId}. Refusing to sign anything.`);
+  }
 }
 
-main().catch(error => {
-  logger.error(chalk.red(`Fatal error in main execution: ${error.message}`), error);
-  sendAlert(`Fatal error: ${error.message}`, 'error');
-  process.exit(1);
-});
+// Loaded by the tests in test/ for the pieces below; run directly, the file starts the bot
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(chalk.red(`Fatal error in main execution: ${error.message}`), error);
+    // Give the alert a moment to go out; every sink attempt has its own timeout
+    Promise.race([sendAlert(`Fatal error: ${error.message}`, 'error'), delay(15000)]).finally(() => process.exit(1));
+  });
+}
+
+module.exports = {
+  loadConfig,
+  applyConfig,
+  applyAlertChecks,
+  activeAlertConditions,
+  allowedHostHeaders,
+  startMonitoringServer,
+  monitorState,
+};
@@ -0,0 +1,94 @@
+// Edge detection of the alert rules (applyAlertChecks): one alert when a condition starts, one recovery when it
+// clears, nothing in between, and nothing marked as alerted until a sink actually took the alert.
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const bot = require("../bot.js");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-alert-rules-"));
+const alertFile = path.join(dir, "alerts.jsonl");
+
+// Base config with one local file sink that takes warn and above; `alerts` overrides the rest of the section
+function useAlerts(alerts = {}) {
+  const { config } = bot.loadConfig();
+  config.alerts = { dedupeWindowSeconds: 3600, maxPerHour: null, retries: 0, sinks: [{ type: "file", minSeverity: "warn", path: alertFile }], ...alerts };
+  bot.applyConfig(config);
+}
+
+function sentAlerts() {
+  if (!fs.existsSync(alertFile)) return [];
+  return fs.readFileSync(alertFile, "utf8").trim().split("\n").map(line => JSON.parse(line));
+}
+
+function lowBalance(wallet, firing, severity = "warn") {
+  return {
+    key: `lowXrpBalance:${wallet}`,
+    severity,
+    firing,
+    message: `Wallet ${wallet} has 0.01 XRP, below the 0.05 XRP alert threshold.`,
+    recovery: `Wallet ${wallet} is back to 1.0 XRP.`,
+  };
+}
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  fs.rmSync(alertFile, { force: true });
+  bot.activeAlertConditions.clear();
+  useAlerts();
+});
+
+test("alerts once per condition and not again while it holds", async () => {
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  assert.deepStrictEqual(sentAlerts().map(alert => alert.message), [lowBalance("0xA1", true).message]);
+  assert.ok(bot.activeAlertConditions.has("lowXrpBalance:0xA1"));
+});
+
+test("alerts for each wallet even though their messages only differ in the address", async () => {
+  await bot.applyAlertChecks([lowBalance("0xA1", true), lowBalance("0xB2", true)]);
+  assert.strictEqual(sentAlerts().length, 2);
+});
+
+test("sends a recovery at the alert's severity and alerts again if the condition comes back", async () => {
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  await bot.applyAlertChecks([lowBalance("0xA1", false)]);
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  const alerts = sentAlerts();
+  assert.strictEqual(alerts.length, 3);
+  assert.match(alerts[1].message, /^Recovered \(alerting since .*\): Wallet 0xA1 is back/);
+  assert.strictEqual(alerts[1].severity, "warn"); // A warn-only sink must get the recovery too
+  assert.strictEqual(alerts[2].message, lowBalance("0xA1", true).message);
+});
+
+test("sends nothing for a condition that clears without having fired", async () => {
+  await bot.applyAlertChecks([lowBalance("0xA1", false)]);
+  assert.deepStrictEqual(sentAlerts(), []);
+});
+
+test("keeps an undelivered alert pending so the next cycle tries again", async () => {
+  useAlerts({ sinks: [{ type: "file", minSeverity: "warn", path: path.join(dir, "missing", "alerts.jsonl") }] });
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  assert.ok(!bot.activeAlertConditions.has("lowXrpBalance:0xA1"));
+
+  useAlerts();
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  assert.strictEqual(sentAlerts().length, 1);
+  assert.ok(bot.activeAlertConditions.has("lowXrpBalance:0xA1"));
+});
+
+test("keeps a condition active until its recovery is delivered", async () => {
+  await bot.applyAlertChecks([lowBalance("0xA1", true)]);
+  useAlerts({ maxPerHour: 0 }); // Every sink is rate limited
+  await bot.applyAlertChecks([lowBalance("0xA1", false)]);
+  assert.ok(bot.activeAlertConditions.has("lowXrpBalance:0xA1"));
+});
+
+test("marks a condition no sink would receive as handled instead of retrying it every cycle", async () => {
+  await bot.applyAlertChecks([lowBalance("0xA1", true, "info")]); // Below the sink's minSeverity
+  assert.deepStrictEqual(sentAlerts(), []);
+  assert.ok(bot.activeAlertConditions.has("lowXrpBalance:0xA1"));
+});
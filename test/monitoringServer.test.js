@@ -0,0 +1,82 @@
+// The monitoring server's request guards: the Host header check that keeps DNS rebinding pages out, and the
+// X-Control-Token check in front of every control API call that changes something.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+
+const CONTROL_TOKEN = "test-control-token";
+process.env.BOT_CONTROL_TOKEN = CONTROL_TOKEN; // Read when bot.js loads
+const bot = require("../bot.js");
+
+const PORT = 19464;
+
+// fetch() won't send a Host header of our choosing, hence plain http.request
+function request(method, path, { host = `127.0.0.1:${PORT}`, headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port: PORT, method, path, headers: { host, ...headers } }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", chunk => (text += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: text }));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+const post = (path, body, headers = {}) =>
+  request("POST", path, { body: JSON.stringify(body), headers: { "Content-Type": "application/json", ...headers } });
+
+before(async () => {
+  const { config } = bot.loadConfig();
+  config.monitoring = { enabled: true, host: "127.0.0.1", port: PORT, allowedHosts: [], dashboard: true, control: true, maxCycleAgeSeconds: null };
+  bot.applyConfig(config);
+  await bot.startMonitoringServer();
+});
+
+after(() => bot.monitorState.server.close());
+
+test("allowedHostHeaders accepts every loopback name on the port plus the configured hosts", () => {
+  const hosts = bot.allowedHostHeaders({ host: "127.0.0.1", port: 9464, allowedHosts: ["Bot.Example.com:443"] });
+  assert.deepStrictEqual([...hosts].sort(), ["127.0.0.1:9464", "[::1]:9464", "bot.example.com:443", "localhost:9464"]);
+});
+
+test("allowedHostHeaders accepts bare loopback names on port 80 only", () => {
+  assert.ok(bot.allowedHostHeaders({ host: "localhost", port: 80, allowedHosts: [] }).has("localhost"));
+  assert.ok(!bot.allowedHostHeaders({ host: "localhost", port: 8080, allowedHosts: [] }).has("localhost"));
+});
+
+test("refuses requests whose Host header is not the server's own", async () => {
+  for (const host of ["attacker.example:19464", "127.0.0.1", `127.0.0.2:${PORT}`]) {
+    const response = await request("GET", "/api/status", { host });
+    assert.strictEqual(response.status, 403, host);
+    assert.deepStrictEqual(JSON.parse(response.body), { error: "Host not allowed" });
+  }
+  assert.strictEqual((await post("/api/pause", {}, { host: "attacker.example", "X-Control-Token": CONTROL_TOKEN })).status, 403);
+});
+
+test("serves requests under any loopback name for its port", async () => {
+  for (const host of [`127.0.0.1:${PORT}`, `LOCALHOST:${PORT}`]) {
+    assert.strictEqual((await request("GET", "/api/status", { host })).status, 200, host);
+  }
+});
+
+test("refuses control calls without the right X-Control-Token", async () => {
+  for (const headers of [{}, { "X-Control-Token": "wrong" }, { "X-Control-Token": CONTROL_TOKEN.slice(0, -1) }]) {
+    const response = await post("/api/pause", {}, headers);
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(JSON.parse(response.body), { error: "Missing or wrong X-Control-Token header" });
+  }
+  assert.strictEqual((await post("/api/settings", {}, {})).status, 401);
+});
+
+test("lets reads of the control API through without a token", async () => {
+  assert.strictEqual((await request("GET", "/api/settings")).status, 200);
+});
+
+test("runs control calls that carry the token", async () => {
+  const headers = { "X-Control-Token": CONTROL_TOKEN };
+  assert.strictEqual((await post("/api/pause", {}, headers)).status, 200);
+  assert.strictEqual((await post("/api/resume", {}, headers)).status, 200);
+  assert.strictEqual((await post("/api/pause", null, headers)).status, 400); // Still validated once past the token
+});